@@ -0,0 +1,196 @@
+/**
+ * Utility functions for managing several logged in Hive accounts.
+ *
+ * Remembered accounts (and their data) live in localStorage. Accounts
+ * logged in without "remember me" live in sessionStorage, so they are
+ * forgotten when the browser session ends.
+ */
+
+export const ACCOUNTS_KEY = 'hivesocial_accounts';
+const ACTIVE_ACCOUNT_KEY = 'hivesocial_user';
+const ACCOUNT_PREFIX = 'hivesocial:';
+
+/**
+ * Build the localStorage key for a piece of per-account state
+ */
+const accountKey = (username, key) => `${ACCOUNT_PREFIX}${username}:${key}`;
+
+/**
+ * Read an account list from one storage area
+ */
+const readAccountList = (storage) => {
+  try {
+    const accounts = JSON.parse(storage.getItem(ACCOUNTS_KEY) || '[]');
+    return Array.isArray(accounts) ? accounts : [];
+  } catch (e) {
+    console.error('Failed to parse saved accounts');
+    return [];
+  }
+};
+
+/**
+ * Pick the storage area that holds an account's data
+ */
+const storageFor = (username) => {
+  const sessionOnly = readAccountList(sessionStorage).some(account => account.username === username);
+  return sessionOnly ? sessionStorage : localStorage;
+};
+
+/**
+ * Read a per-account value (drafts, settings, tokens...)
+ */
+export const getAccountItem = (username, key, fallback = null) => {
+  if (!username) return fallback;
+
+  try {
+    const raw = storageFor(username).getItem(accountKey(username, key));
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Write a per-account value
+ */
+export const setAccountItem = (username, key, value) => {
+  if (!username) return;
+  storageFor(username).setItem(accountKey(username, key), JSON.stringify(value));
+};
+
+/**
+ * Remove a per-account value
+ */
+export const removeAccountItem = (username, key) => {
+  if (!username) return;
+  storageFor(username).removeItem(accountKey(username, key));
+};
+
+/**
+ * Remove every stored value that belongs to an account
+ */
+export const clearAccountData = (username) => {
+  const prefix = `${ACCOUNT_PREFIX}${username}:`;
+  [localStorage, sessionStorage].forEach(storage => {
+    Object.keys(storage)
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => storage.removeItem(key));
+  });
+};
+
+/**
+ * Move an account's stored values to localStorage (remembered) or
+ * sessionStorage (session only)
+ */
+export const moveAccountData = (username, remember) => {
+  const [from, to] = remember ? [sessionStorage, localStorage] : [localStorage, sessionStorage];
+  const prefix = `${ACCOUNT_PREFIX}${username}:`;
+  Object.keys(from)
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => {
+      to.setItem(key, from.getItem(key));
+      from.removeItem(key);
+    });
+};
+
+/**
+ * Load the saved accounts, migrating the old single-user storage
+ */
+export const loadAccounts = () => {
+  const remembered = readAccountList(localStorage);
+  const sessionOnly = readAccountList(sessionStorage);
+  if (remembered.length > 0 || sessionOnly.length > 0) {
+    return [
+      ...remembered.filter(account => !sessionOnly.some(other => other.username === account.username)),
+      ...sessionOnly
+    ];
+  }
+
+  // Older versions only stored one username and auth method
+  const legacyUser = localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+  if (!legacyUser) return [];
+
+  const legacyAccounts = [{
+    username: legacyUser,
+    authMethod: localStorage.getItem('hivesocial_auth_method') || null,
+    addedAt: Date.now()
+  }];
+
+  const legacyToken = localStorage.getItem('hivesocial_token');
+  if (legacyToken) {
+    setAccountItem(legacyUser, 'token', legacyToken);
+    setAccountItem(legacyUser, 'token_expiry', Number(localStorage.getItem('hivesocial_token_expiry')) || null);
+  }
+
+  localStorage.removeItem('hivesocial_auth_method');
+  localStorage.removeItem('hivesocial_token');
+  localStorage.removeItem('hivesocial_token_expiry');
+  saveAccounts(legacyAccounts);
+
+  return legacyAccounts;
+};
+
+/**
+ * Persist the account list, splitting remembered and session-only accounts
+ */
+export const saveAccounts = (accounts) => {
+  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts.filter(account => account.remember !== false)));
+  sessionStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts.filter(account => account.remember === false)));
+};
+
+/**
+ * Add an account, or update the login details of one that is already saved
+ */
+export const upsertAccount = (accounts, username, authMethod, remember = true) => {
+  const loggedInAt = Date.now();
+  const existing = accounts.find(account => account.username === username);
+  if (existing) {
+    return accounts.map(account => (
+      account.username === username ? { ...account, authMethod, remember, loggedInAt } : account
+    ));
+  }
+
+  return [...accounts, { username, authMethod, remember, addedAt: loggedInAt, loggedInAt }];
+};
+
+/**
+ * Remove an account from the list
+ */
+export const removeAccount = (accounts, username) => {
+  return accounts.filter(account => account.username !== username);
+};
+
+/**
+ * Get the username of the active account (this tab's choice first)
+ */
+export const getActiveAccount = () => {
+  return sessionStorage.getItem(ACTIVE_ACCOUNT_KEY) || localStorage.getItem(ACTIVE_ACCOUNT_KEY) || null;
+};
+
+/**
+ * Set (or clear) the active account
+ */
+export const setActiveAccount = (username) => {
+  [localStorage, sessionStorage].forEach(storage => {
+    if (username) {
+      storage.setItem(ACTIVE_ACCOUNT_KEY, username);
+    } else {
+      storage.removeItem(ACTIVE_ACCOUNT_KEY);
+    }
+  });
+};
+
+export default {
+  ACCOUNTS_KEY,
+  getAccountItem,
+  setAccountItem,
+  removeAccountItem,
+  clearAccountData,
+  moveAccountData,
+  loadAccounts,
+  saveAccounts,
+  upsertAccount,
+  removeAccount,
+  getActiveAccount,
+  setActiveAccount
+};
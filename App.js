@@ -1,8 +1,68 @@
-import React, { useState, useEffect, Suspense, lazy, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, Suspense, lazy, createContext, useContext } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
-import { Client } from '@hiveio/dhive';
+import { Client, PrivateKey } from '@hiveio/dhive';
 import Navbar from './components/Navbar';
 import ErrorBoundary from './components/ErrorBoundary';
+import KeyRequestModal from './components/KeyRequestModal';
+import HiveAuthPrompt from './components/HiveAuthPrompt';
+import SignConfirmModal from './components/SignConfirmModal';
+import { verifyAuthorityKey } from './utils/AuthUtils';
+import {
+  loadAccounts,
+  saveAccounts,
+  upsertAccount,
+  getActiveAccount,
+  setActiveAccount,
+  clearAccountData,
+  moveAccountData,
+  ACCOUNTS_KEY
+} from './utils/AccountUtils';
+import {
+  getOrderedNodes,
+  getNodeStatus,
+  registerClient,
+  startMonitoring,
+  subscribeNodeStatus
+} from './utils/NodeManager';
+import {
+  recordActivity,
+  findExpiredAccounts,
+  consumePendingRemember,
+  broadcastSessionEvent,
+  subscribeSessionEvents
+} from './utils/SessionUtils';
+import {
+  OAUTH_CONFIG,
+  completeOAuthLogin,
+  refreshAccessToken,
+  revokeAccessToken,
+  msUntilRefresh,
+  isTokenExpired,
+  loadTokenSet,
+  saveTokenSet
+} from './utils/OAuthUtils';
+import { loadHiveAuthSession, isHiveAuthSessionExpired } from './utils/HiveAuthUtils';
+import {
+  subscribeVault,
+  isVaultUnlocked,
+  isVaultInitialized,
+  hasVaultKey,
+  unlockVault,
+  lockVault,
+  touchVault,
+  storeVaultKey,
+  getVaultKey,
+  removeVaultKeys
+} from './utils/KeyVault';
+import {
+  AUTHORITY_POSTING,
+  createKeychainSigner,
+  createKeySigner,
+  createTokenSigner,
+  createHiveAuthSigner,
+  withConfirmation,
+  broadcastOperations
+} from './utils/SignerUtils';
 
 // Create context for global state
 export const HiveContext = createContext();
@@ -15,18 +75,31 @@ const CreatePost = lazy(() => import(/* webpackChunkName: "create-post" */ './co
 const NotFound = lazy(() => import(/* webpackChunkName: "not-found" */ './components/NotFound'));
 const Chat = lazy(() => import(/* webpackChunkName: "chat" */ './components/Chat'));
 const PostView = lazy(() => import(/* webpackChunkName: "post-view" */ './components/PostView'));
+const Settings = lazy(() => import(/* webpackChunkName: "settings" */ './components/Settings'));
 
-// Hive nodes with health monitoring
-const HIVE_NODES = [
-  'https://api.hive.blog',
-  'https://api.hivekings.com',
-  'https://anyx.io',
-  'https://api.openhive.network'
-];
-
-// Initialize Hive client with simpler configuration
-const createHiveClient = () => {
-  return new Client(HIVE_NODES);
+// Retries of a HiveSigner refresh that failed for lack of network or a
+// provider error, doubling from the first delay up to the last
+const TOKEN_RETRY_MIN_MS = 15 * 1000;
+const TOKEN_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Feed sorts that can be limited to a tag or community (/trending/:tag)
+const TAG_FEED_SORTS = ['trending', 'hot', 'created', 'promoted'];
+
+// REACT_APP_MOCK_CHAIN=true swaps the Hive client for an in-memory chain
+// seeded from fixtures, so the app works without network
+const MOCK_CHAIN = process.env.REACT_APP_MOCK_CHAIN === 'true';
+
+// Initialize Hive client with the nodes ranked by the health monitor.
+// The monitor keeps reordering the client's nodes as their health changes.
+const createHiveClient = async () => {
+  if (MOCK_CHAIN) {
+    const { createMockClient } = await import(/* webpackChunkName: "mock-chain" */ './utils/MockChain');
+    return createMockClient();
+  }
+
+  const client = new Client(getOrderedNodes());
+  registerClient(client);
+  return client;
 };
 
 // Loading fallback component with better styling
@@ -39,36 +112,30 @@ const LoadingFallback = () => (
   </div>
 );
 
-// Add a new component to handle Ecency auth callback
-const EcencyCallback = () => {
+// Finish a HiveSigner login. completeOAuthLogin checks the state parameter
+// and exchanges the code, so nothing from the query string is trusted as is.
+const OAuthCallback = () => {
   const navigate = useNavigate();
   const [error, setError] = useState(null);
-  const { setUser } = useContext(HiveContext);
+  const { login } = useContext(HiveContext);
+  // Authorization codes are single use, so never exchange one twice
+  const handled = useRef(false);
 
   useEffect(() => {
-    // Parse the URL parameters
-    const params = new URLSearchParams(window.location.search);
-    const username = params.get('username');
-    const accessToken = params.get('access_token');
-    const expiresIn = params.get('expires_in');
-
-    if (username && accessToken) {
-      // Store the auth data
-      localStorage.setItem('hivesocial_user', username);
-      localStorage.setItem('hivesocial_token', accessToken);
-      localStorage.setItem('hivesocial_token_expiry', Date.now() + (expiresIn * 1000));
-      
-      // Update the user context
-      setUser(username);
-      
-      // Redirect to home or the original destination
-      const redirectTo = localStorage.getItem('hivesocial_redirect') || '/';
-      localStorage.removeItem('hivesocial_redirect'); // Clean up
-      navigate(redirectTo);
-    } else {
-      setError('Authentication failed. Please try again.');
-    }
-  }, [navigate, setUser]);
+    if (handled.current) return;
+    handled.current = true;
+
+    completeOAuthLogin(window.location.search).then((result) => {
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+
+      saveTokenSet(result.username, result);
+      login(result.username, 'hivesigner', null, consumePendingRemember());
+      navigate(result.redirectTo, { replace: true });
+    });
+  }, [navigate, login]);
 
   if (error) {
     return (
@@ -101,12 +168,426 @@ const EcencyCallback = () => {
 
 function App() {
   const [client, setClient] = useState(null);
-  const [user, setUser] = useState(localStorage.getItem('hivesocial_user') || null);
+  const [accounts, setAccounts] = useState(loadAccounts);
+  const [user, setUser] = useState(() => {
+    const active = getActiveAccount();
+    return active && loadAccounts().some(account => account.username === active) ? active : null;
+  });
   const [isKeychain, setIsKeychain] = useState(false);
   const [networkError, setNetworkError] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [connectionAttempts, setConnectionAttempts] = useState(0);
   const [clientReady, setClientReady] = useState(false);
+  // Private keys are only ever kept in memory, keyed by "username:authority"
+  const sessionKeys = useRef({});
+  // Pending request for a private key, shown in KeyRequestModal
+  const [keyRequest, setKeyRequest] = useState(null);
+  const [vaultUnlocked, setVaultUnlocked] = useState(isVaultUnlocked);
+  // Token refreshes in flight, keyed by username, so callers share one
+  const tokenRefreshes = useRef({});
+  // Bumped whenever a HiveSigner token is refreshed to reschedule the next one
+  const [tokenVersion, setTokenVersion] = useState(0);
+  // Signing request waiting for approval in a HiveAuth wallet
+  const [hiveAuthSignRequest, setHiveAuthSignRequest] = useState(null);
+  // Transaction waiting for the user's confirmation in SignConfirmModal
+  const [signRequest, setSignRequest] = useState(null);
+  const [nodeStatus, setNodeStatus] = useState(() => (MOCK_CHAIN ? null : getNodeStatus()));
+
+  // Keep pinging the API nodes and follow their status
+  useEffect(() => {
+    if (MOCK_CHAIN) return;
+
+    const unsubscribe = subscribeNodeStatus(setNodeStatus);
+    const stopMonitoring = startMonitoring();
+    return () => {
+      unsubscribe();
+      stopMonitoring();
+    };
+  }, []);
+
+  // Forget every key held in memory when the vault locks
+  useEffect(() => {
+    return subscribeVault((unlocked) => {
+      setVaultUnlocked(unlocked);
+      if (!unlocked) {
+        sessionKeys.current = {};
+      }
+    });
+  }, []);
+
+  // Any user activity postpones the vault auto-lock and the idle timeout
+  useEffect(() => {
+    const onActivity = () => {
+      touchVault();
+      recordActivity();
+    };
+    const events = ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'];
+    events.forEach(event => window.addEventListener(event, onActivity, { passive: true }));
+    return () => {
+      events.forEach(event => window.removeEventListener(event, onActivity));
+    };
+  }, []);
+
+  // Keys held in memory never outlive the tab
+  useEffect(() => {
+    const onPageHide = () => {
+      sessionKeys.current = {};
+      lockVault();
+    };
+    window.addEventListener('pagehide', onPageHide);
+    return () => window.removeEventListener('pagehide', onPageHide);
+  }, []);
+
+  // Record a successful login together with the method used to sign.
+  // Logging in to another account adds it next to the existing ones.
+  // Without `remember` the account only lasts for this browser session.
+  const login = useCallback((username, method, privateKey = null, remember = true) => {
+    if (privateKey) {
+      sessionKeys.current[`${username}:${AUTHORITY_POSTING}`] = privateKey;
+    }
+    setAccounts(prev => {
+      const next = upsertAccount(prev, username, method, remember);
+      saveAccounts(next);
+      return next;
+    });
+    moveAccountData(username, remember);
+    recordActivity(true);
+    setActiveAccount(username);
+    setUser(username);
+  }, []);
+
+  // Give up on a pending key request; its caller gets no key. With
+  // `usernames` only requests for those accounts are dropped.
+  const cancelKeyRequest = useCallback((usernames = null) => {
+    setKeyRequest(prev => {
+      if (!prev || (usernames && !usernames.includes(prev.username))) return prev;
+      prev.resolve(null);
+      return null;
+    });
+  }, []);
+
+  // Make another saved account the active one without logging out
+  const switchAccount = useCallback((username) => {
+    cancelKeyRequest();
+    setActiveAccount(username);
+    setUser(username);
+  }, [cancelKeyRequest]);
+
+  // Forget accounts together with their keys and stored data. Sign-outs
+  // coming from another tab skip token revocation, which that tab did.
+  const signOut = useCallback((usernames, { remote = false } = {}) => {
+    cancelKeyRequest(usernames);
+
+    accounts
+      .filter(account => usernames.includes(account.username))
+      .forEach(account => {
+        if (!remote && account.authMethod === 'hivesigner') {
+          revokeAccessToken(loadTokenSet(account.username).accessToken);
+        }
+      });
+
+    usernames.forEach(username => {
+      Object.keys(sessionKeys.current)
+        .filter(key => key.startsWith(`${username}:`))
+        .forEach(key => delete sessionKeys.current[key]);
+      clearAccountData(username);
+      removeVaultKeys(username);
+    });
+
+    const remaining = accounts.filter(account => !usernames.includes(account.username));
+    saveAccounts(remaining);
+    setAccounts(remaining);
+
+    if (usernames.includes(user)) {
+      const next = remaining[0]?.username || null;
+      setActiveAccount(next);
+      setUser(next);
+    }
+  }, [accounts, user, cancelKeyRequest]);
+
+  // Sign out and let the other tabs know
+  const endSessions = useCallback((usernames) => {
+    signOut(usernames);
+    broadcastSessionEvent({ type: 'logout', usernames });
+  }, [signOut]);
+
+  // Forget one account (the active one by default) and its stored data
+  const logout = useCallback((username = user) => {
+    if (!username) return;
+    endSessions([username]);
+  }, [endSessions, user]);
+
+  // Sign out of every saved account, in every tab
+  const logoutAll = useCallback(() => {
+    signOut(accounts.map(account => account.username));
+    sessionKeys.current = {};
+    broadcastSessionEvent({ type: 'logout_all' });
+  }, [accounts, signOut]);
+
+  // Follow sign-outs made in other tabs
+  useEffect(() => {
+    return subscribeSessionEvents((event) => {
+      if (event.type === 'logout') {
+        signOut(event.usernames || [], { remote: true });
+      } else if (event.type === 'logout_all') {
+        signOut(accounts.map(account => account.username), { remote: true });
+        sessionKeys.current = {};
+      }
+    });
+  }, [accounts, signOut]);
+
+  // Pick up accounts added in other tabs
+  useEffect(() => {
+    const onStorage = (event) => {
+      if (event.key === ACCOUNTS_KEY) {
+        setAccounts(loadAccounts());
+      }
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  // Never leave a removed account active
+  useEffect(() => {
+    if (user && !accounts.some(account => account.username === user)) {
+      const next = accounts[0]?.username || null;
+      setActiveAccount(next);
+      setUser(next);
+    }
+  }, [accounts, user]);
+
+  // Sign out accounts whose idle timeout or absolute lifetime ran out
+  useEffect(() => {
+    const check = () => {
+      const expired = findExpiredAccounts(accounts);
+      if (expired.length > 0) {
+        console.warn(`Session expired for ${expired.map(name => `@${name}`).join(', ')}`);
+        endSessions(expired);
+      }
+    };
+
+    check();
+    const timer = setInterval(check, 30 * 1000);
+    return () => clearInterval(timer);
+  }, [accounts, endSessions]);
+
+  // Turn a typed key into a PrivateKey, checking it against the account's
+  // authority on chain (owner keys are refused)
+  const parseKeyInput = useCallback(async (username, authority, input) => {
+    const result = await verifyAuthorityKey(client, username, input, authority);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.privateKey;
+  }, [client]);
+
+  // Find a private key for the in-memory signer: memory first, then the
+  // unlocked vault, and finally ask the user through KeyRequestModal
+  const requestKey = useCallback(async (username, authority) => {
+    const cacheKey = `${username}:${authority}`;
+    if (sessionKeys.current[cacheKey]) {
+      return sessionKeys.current[cacheKey];
+    }
+
+    if (isVaultUnlocked()) {
+      const stored = await getVaultKey(username, authority);
+      if (stored.success) {
+        const key = PrivateKey.fromString(stored.wif);
+        sessionKeys.current[cacheKey] = key;
+        return key;
+      }
+    }
+
+    const [hasStoredKey, vaultInitialized] = await Promise.all([
+      hasVaultKey(username, authority),
+      isVaultInitialized()
+    ]);
+
+    return new Promise((resolve) => {
+      setKeyRequest(prev => {
+        // Only one key can be asked for at a time
+        if (prev) prev.resolve(null);
+        return {
+          username,
+          authority,
+          hasStoredKey,
+          vaultInitialized,
+          vaultUnlocked: isVaultUnlocked(),
+          resolve
+        };
+      });
+    });
+  }, []);
+
+  // Called by KeyRequestModal; throwing keeps the modal open with the error
+  const handleKeySubmit = async ({ privateKey, passphrase, remember }) => {
+    const { username, authority, resolve } = keyRequest;
+
+    if (passphrase) {
+      const unlocked = await unlockVault(passphrase);
+      if (!unlocked.success) {
+        throw new Error(unlocked.error);
+      }
+    }
+
+    let key;
+    if (privateKey) {
+      key = await parseKeyInput(username, authority, privateKey);
+      if (remember) {
+        const stored = await storeVaultKey(username, authority, key.toString());
+        if (!stored.success) {
+          throw new Error(stored.error);
+        }
+      }
+    } else {
+      const stored = await getVaultKey(username, authority);
+      if (!stored.success) {
+        throw new Error(stored.error);
+      }
+      key = PrivateKey.fromString(stored.wif);
+    }
+
+    sessionKeys.current[`${username}:${authority}`] = key;
+    setKeyRequest(null);
+    resolve(key);
+  };
+
+  const handleKeyCancel = () => {
+    keyRequest.resolve(null);
+    setKeyRequest(null);
+  };
+
+  // Ask the user to confirm a transaction before any signer sees it
+  const confirmSigning = useCallback(({ username, operations, authority, signer: backend }) => {
+    return new Promise((resolve) => {
+      setSignRequest(prev => {
+        // Only one transaction can be confirmed at a time
+        if (prev) prev.resolve(false);
+        return { username, operations, authority, signerLabel: backend.label, resolve };
+      });
+    });
+  }, []);
+
+  const handleSignConfirm = () => {
+    signRequest.resolve(true);
+    setSignRequest(null);
+  };
+
+  const handleSignCancel = () => {
+    signRequest.resolve(false);
+    setSignRequest(null);
+  };
+
+  // Refresh a HiveSigner session whose token has expired, resolving to
+  // the result of refreshAccessToken (with `rejected` when the session is
+  // over). Callers share a refresh that is already running.
+  const refreshSession = useCallback((username) => {
+    const tokens = loadTokenSet(username);
+    if (!tokens.accessToken) {
+      return Promise.resolve({ success: false, rejected: true, error: 'Not signed in with HiveSigner' });
+    }
+    if (!isTokenExpired(tokens.expiresAt)) {
+      return Promise.resolve({ success: true, accessToken: tokens.accessToken });
+    }
+
+    if (!tokenRefreshes.current[username]) {
+      tokenRefreshes.current[username] = refreshAccessToken(tokens.refreshToken)
+        .then((result) => {
+          if (result.success) {
+            saveTokenSet(username, result);
+            setTokenVersion(version => version + 1);
+          }
+          return result;
+        })
+        .finally(() => {
+          delete tokenRefreshes.current[username];
+        });
+    }
+    return tokenRefreshes.current[username];
+  }, []);
+
+  // Return a usable HiveSigner token, silently refreshing an expired one.
+  // Resolves to null when no token can be had right now.
+  const getAccessToken = useCallback(async (username) => {
+    const result = await refreshSession(username);
+    return result.success ? result.accessToken : null;
+  }, [refreshSession]);
+
+  // Check HiveSigner sessions on startup and refresh them shortly before
+  // they expire. Accounts whose refresh the provider refuses are signed
+  // out; when it cannot be reached the session is kept and the refresh
+  // retried with backoff.
+  useEffect(() => {
+    const timers = {};
+    let cancelled = false;
+
+    const scheduleRefresh = (username, delay, attempt = 0) => {
+      timers[username] = setTimeout(async () => {
+        const result = await refreshSession(username);
+        if (cancelled || result.success) return;
+
+        if (result.rejected) {
+          console.warn(`HiveSigner session for @${username} expired`);
+          logout(username);
+          return;
+        }
+
+        const retryDelay = Math.min(TOKEN_RETRY_MAX_MS, TOKEN_RETRY_MIN_MS * 2 ** attempt);
+        console.warn(`Could not refresh the HiveSigner session for @${username}, retrying in ${retryDelay / 1000}s:`, result.error);
+        scheduleRefresh(username, retryDelay, attempt + 1);
+      }, delay);
+    };
+
+    accounts
+      .filter(account => account.authMethod === 'hivesigner')
+      .forEach(({ username }) => {
+        const delay = msUntilRefresh(loadTokenSet(username).expiresAt);
+        if (delay !== null) scheduleRefresh(username, delay);
+      });
+
+    return () => {
+      cancelled = true;
+      Object.values(timers).forEach(timer => clearTimeout(timer));
+    };
+  }, [accounts, refreshSession, logout, tokenVersion]);
+
+  // HiveAuth sessions cannot be refreshed, so expired ones are signed out
+  useEffect(() => {
+    const expired = accounts.find(account => (
+      account.authMethod === 'hiveauth' && isHiveAuthSessionExpired(loadHiveAuthSession(account.username))
+    ));
+    if (expired) {
+      console.warn(`HiveAuth session for @${expired.username} expired`);
+      logout(expired.username);
+    }
+  }, [accounts, logout]);
+
+  const authMethod = accounts.find(account => account.username === user)?.authMethod || null;
+
+  // Pick the signing backend that matches how the user logged in. Every
+  // backend asks for confirmation before it signs anything.
+  const signer = useMemo(() => {
+    if (!user) return null;
+
+    let backend;
+    if (authMethod === 'hivesigner') {
+      backend = createTokenSigner(getAccessToken, OAUTH_CONFIG.baseUrl);
+    } else if (authMethod === 'hiveauth') {
+      backend = createHiveAuthSigner(loadHiveAuthSession, setHiveAuthSignRequest);
+    } else if (isKeychain && (authMethod === 'keychain' || !authMethod)) {
+      backend = createKeychainSigner();
+    } else {
+      // Fall back to signing with a key in memory when the extension is gone
+      backend = createKeySigner(client, requestKey);
+    }
+    return withConfirmation(backend, confirmSigning);
+  }, [user, authMethod, isKeychain, client, requestKey, getAccessToken, confirmSigning]);
+
+  // Single entry point for every broadcast in the app; the authority is
+  // looked up in the operation table
+  const broadcast = useCallback((operations) => {
+    return broadcastOperations(signer, user, operations);
+  }, [signer, user]);
 
   // Initialize client and check Keychain with retry logic
   useEffect(() => {
@@ -120,7 +601,7 @@ function App() {
 
       try {
         // Create client
-        const newClient = createHiveClient();
+        const newClient = await createHiveClient();
         console.log('Created Hive client');
         
         // Test connection with a simple API call
@@ -151,7 +632,7 @@ function App() {
         console.error('Error creating Hive client:', err);
         setNetworkError('Failed to initialize Hive client. Proceeding with limited functionality.');
         // Create a basic client anyway to allow the app to load
-        setClient(createHiveClient());
+        setClient(await createHiveClient());
         setClientReady(true);
       } finally {
         setIsLoading(false);
@@ -198,10 +679,42 @@ function App() {
     <HiveContext.Provider value={{ 
       client, 
       user, 
-      setUser, 
-      isKeychain
+      accounts,
+      login,
+      logout,
+      logoutAll,
+      switchAccount,
+      isKeychain,
+      signer,
+      broadcast,
+      vaultUnlocked,
+      lockVault,
+      nodeStatus,
+      isMockChain: MOCK_CHAIN
     }}>
       <div className="min-h-screen bg-gray-100 flex flex-col">
+        {keyRequest && (
+          <KeyRequestModal
+            key={`${keyRequest.username}:${keyRequest.authority}`}
+            request={keyRequest}
+            onSubmit={handleKeySubmit}
+            onCancel={handleKeyCancel}
+          />
+        )}
+        {signRequest && (
+          <SignConfirmModal
+            request={signRequest}
+            onConfirm={handleSignConfirm}
+            onCancel={handleSignCancel}
+          />
+        )}
+        {hiveAuthSignRequest && (
+          <HiveAuthPrompt
+            title="Approve in your wallet"
+            message={`Open your HiveAuth wallet app to approve this transaction for @${hiveAuthSignRequest.username}.`}
+            expire={hiveAuthSignRequest.expire}
+          />
+        )}
         <ErrorBoundary>
           <Suspense fallback={<LoadingFallback />}>
             {isLoading ? (
@@ -230,12 +743,16 @@ function App() {
                 <div className="container mx-auto px-4 py-4">
                   <Routes>
                     <Route path="/" element={<Home />} />
-                    <Route path="/login" element={<Login setUser={setUser} isKeychain={isKeychain} />} />
-                    <Route path="/ecency-callback" element={<EcencyCallback />} />
+                    {TAG_FEED_SORTS.map(sort => (
+                      <Route key={sort} path={`/${sort}/:tag`} element={<Home sort={sort} />} />
+                    ))}
+                    <Route path="/login" element={<Login isKeychain={isKeychain} />} />
+                    <Route path={OAUTH_CONFIG.callbackPath} element={<OAuthCallback />} />
                     <Route path="/profile/:username" element={<Profile />} />
                     <Route path="/create" element={<CreatePost />} />
                     <Route path="/chat" element={user ? <Chat /> : <Navigate to="/login" state={{ from: '/chat' }} />} />
                     <Route path="/@:author/:permlink" element={<PostView />} />
+                    <Route path="/settings" element={<Settings />} />
                     <Route path="*" element={<NotFound />} />
                   </Routes>
                 </div>
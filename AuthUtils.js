@@ -0,0 +1,338 @@
+import { PrivateKey, Signature, cryptoUtils } from '@hiveio/dhive';
+
+/**
+ * Utility functions for verifying Hive account credentials
+ */
+
+// Error codes returned alongside the human readable message
+export const AUTH_ERRORS = {
+  MISSING_CREDENTIALS: 'missing_credentials',
+  INVALID_KEY: 'invalid_key',
+  UNKNOWN_ACCOUNT: 'unknown_account',
+  KEY_NOT_IN_AUTHORITY: 'key_not_in_authority',
+  INSUFFICIENT_WEIGHT: 'insufficient_weight',
+  WRONG_KEY_ROLE: 'wrong_key_role',
+  OWNER_KEY_REFUSED: 'owner_key_refused',
+  INVALID_SIGNATURE: 'invalid_signature',
+  CHALLENGE_EXPIRED: 'challenge_expired',
+  NETWORK_ERROR: 'network_error'
+};
+
+// Login challenges are only valid for a short time and only once
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_STORAGE_KEY = 'hivesocial_login_challenge';
+
+/**
+ * Normalize a username typed by the user ("@Alice " -> "alice")
+ */
+export const normalizeUsername = (username) => {
+  return (username || '').trim().replace(/^@/, '').toLowerCase();
+};
+
+/**
+ * Turn a WIF private key or a master password into the PrivateKey of an
+ * authority (posting or active; owner keys are never derived)
+ */
+export const resolveAuthorityKey = (username, secret, authority) => {
+  const value = (secret || '').trim();
+
+  if (cryptoUtils.isWif(value)) {
+    return { key: PrivateKey.fromString(value), derived: false };
+  }
+
+  // Anything that is not a WIF is treated as the account's master password
+  return { key: PrivateKey.fromLogin(username, value, authority), derived: true };
+};
+
+/**
+ * Turn a WIF private key or a master password into a posting PrivateKey
+ */
+export const resolvePostingKey = (username, secret) => resolveAuthorityKey(username, secret, 'posting');
+
+/**
+ * Find which authority of an account (owner, active, posting or memo)
+ * contains the given public key
+ */
+export const findKeyRole = (account, publicKey) => {
+  for (const role of ['posting', 'active', 'owner']) {
+    const authority = account[role];
+    const entry = authority?.key_auths?.find(([key]) => String(key) === publicKey);
+    if (entry) {
+      return { role, weight: entry[1], threshold: authority.weight_threshold };
+    }
+  }
+
+  if (String(account.memo_key) === publicKey) {
+    return { role: 'memo', weight: 0, threshold: 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Check that a public key can satisfy the posting or active authority of
+ * an account on its own. Owner keys are always refused.
+ */
+export const checkAuthority = (account, publicKey, authority) => {
+  const match = findKeyRole(account, publicKey);
+
+  if (!match) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.KEY_NOT_IN_AUTHORITY,
+      error: `This key is not part of @${account.name}'s ${authority} authority.`
+    };
+  }
+
+  if (match.role === 'owner') {
+    return {
+      success: false,
+      code: AUTH_ERRORS.OWNER_KEY_REFUSED,
+      role: match.role,
+      error: `That is @${account.name}'s owner key. HiveSocial never uses owner keys; please use your ${authority} key instead.`
+    };
+  }
+
+  if (match.role !== authority) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.WRONG_KEY_ROLE,
+      role: match.role,
+      error: `That is @${account.name}'s ${match.role} key. Please use your ${authority} key instead.`
+    };
+  }
+
+  if (match.weight < match.threshold) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.INSUFFICIENT_WEIGHT,
+      error: `This key has weight ${match.weight} but @${account.name}'s ${authority} authority requires ${match.threshold}. Multi-signature authorities are not supported.`
+    };
+  }
+
+  return { success: true, role: match.role };
+};
+
+/**
+ * Check that a public key can satisfy the posting authority of an account
+ * on its own. Shared by every login method.
+ */
+export const checkPostingAuthority = (account, publicKey) => checkAuthority(account, publicKey, 'posting');
+
+/**
+ * Fetch a single account, mapping failures to login errors
+ */
+const fetchAccount = async (client, name) => {
+  try {
+    const accounts = await client.database.getAccounts([name]);
+    if (!accounts[0]) {
+      return {
+        success: false,
+        code: AUTH_ERRORS.UNKNOWN_ACCOUNT,
+        error: `Account @${name} does not exist on Hive.`
+      };
+    }
+    return { success: true, account: accounts[0] };
+  } catch (err) {
+    console.error('Error fetching account for login:', err);
+    return {
+      success: false,
+      code: AUTH_ERRORS.NETWORK_ERROR,
+      error: `Could not reach the Hive API: ${err.message || 'Unknown error'}`
+    };
+  }
+};
+
+/**
+ * Verify a private key (or master password) against the posting or active
+ * authority of an account on chain
+ */
+export const verifyAuthorityKey = async (client, username, secret, authority) => {
+  const name = normalizeUsername(username);
+
+  if (!name || !secret) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.MISSING_CREDENTIALS,
+      error: `Please enter your username and ${authority} key`
+    };
+  }
+
+  if (!client) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.NETWORK_ERROR,
+      error: 'Hive client not initialized. Please refresh the page.'
+    };
+  }
+
+  let resolved;
+  try {
+    resolved = resolveAuthorityKey(name, secret, authority);
+  } catch (err) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.INVALID_KEY,
+      error: `Invalid private key format. Please make sure you are using your private ${authority} key.`
+    };
+  }
+
+  const fetched = await fetchAccount(client, name);
+  if (!fetched.success) {
+    return fetched;
+  }
+  const account = fetched.account;
+
+  const publicKey = resolved.key.createPublic(client.addressPrefix).toString();
+  const check = checkAuthority(account, publicKey, authority);
+
+  if (!check.success) {
+    // A derived key that matches nothing almost always means a wrong password
+    if (resolved.derived && check.code === AUTH_ERRORS.KEY_NOT_IN_AUTHORITY) {
+      return {
+        ...check,
+        error: `The password does not match @${name}, and it is not a valid private key either.`
+      };
+    }
+    return check;
+  }
+
+  return {
+    success: true,
+    username: name,
+    privateKey: resolved.key,
+    publicKey
+  };
+};
+
+/**
+ * Verify a private posting key (or master password) against the posting
+ * authority of an account on chain
+ */
+export const verifyPostingKey = (client, username, secret) => verifyAuthorityKey(client, username, secret, 'posting');
+
+/**
+ * Create a one-time login challenge for a wallet to sign. The pending
+ * challenge is remembered in sessionStorage so it can only be used once.
+ */
+export const createLoginChallenge = (username) => {
+  const name = normalizeUsername(username);
+  const bytes = new Uint8Array(16);
+  window.crypto.getRandomValues(bytes);
+  const nonce = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + CHALLENGE_TTL_MS;
+
+  const message = [
+    'HiveSocial login',
+    `Account: @${name}`,
+    `Origin: ${window.location.origin}`,
+    `Nonce: ${nonce}`,
+    `Issued: ${new Date(issuedAt).toISOString()}`,
+    `Expires: ${new Date(expiresAt).toISOString()}`
+  ].join('\n');
+
+  const challenge = { username: name, nonce, issuedAt, expiresAt, message };
+  sessionStorage.setItem(CHALLENGE_STORAGE_KEY, JSON.stringify(challenge));
+
+  return challenge;
+};
+
+/**
+ * Take the pending challenge out of storage so it cannot be replayed
+ */
+const consumeChallenge = (nonce) => {
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(CHALLENGE_STORAGE_KEY) || 'null');
+  } catch (e) {
+    pending = null;
+  }
+  sessionStorage.removeItem(CHALLENGE_STORAGE_KEY);
+
+  return pending && pending.nonce === nonce ? pending : null;
+};
+
+/**
+ * Verify a signed login challenge: recover the public key from the
+ * signature and check it against the account's posting authority on chain
+ */
+export const verifyLoginSignature = async (client, challenge, signature, reportedPublicKey) => {
+  const pending = challenge && consumeChallenge(challenge.nonce);
+
+  if (!pending || pending.message !== challenge.message) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.INVALID_SIGNATURE,
+      error: 'This login request is no longer valid. Please try again.'
+    };
+  }
+
+  if (Date.now() > pending.expiresAt) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.CHALLENGE_EXPIRED,
+      error: 'The login request expired before it was signed. Please try again.'
+    };
+  }
+
+  if (!client) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.NETWORK_ERROR,
+      error: 'Hive client not initialized. Please refresh the page.'
+    };
+  }
+
+  let publicKey;
+  try {
+    const digest = cryptoUtils.sha256(pending.message);
+    publicKey = Signature.fromString(signature).recover(digest, client.addressPrefix).toString();
+  } catch (err) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.INVALID_SIGNATURE,
+      error: 'The wallet returned a malformed signature.'
+    };
+  }
+
+  if (reportedPublicKey && reportedPublicKey !== publicKey) {
+    return {
+      success: false,
+      code: AUTH_ERRORS.INVALID_SIGNATURE,
+      error: 'The signature does not match the key reported by the wallet.'
+    };
+  }
+
+  const fetched = await fetchAccount(client, pending.username);
+  if (!fetched.success) {
+    return fetched;
+  }
+
+  const check = checkPostingAuthority(fetched.account, publicKey);
+  if (!check.success) {
+    return check.code === AUTH_ERRORS.KEY_NOT_IN_AUTHORITY
+      ? {
+        ...check,
+        code: AUTH_ERRORS.INVALID_SIGNATURE,
+        error: `The login was not signed by @${pending.username}'s posting key.`
+      }
+      : check;
+  }
+
+  return { success: true, username: pending.username, publicKey };
+};
+
+export default {
+  AUTH_ERRORS,
+  normalizeUsername,
+  resolveAuthorityKey,
+  resolvePostingKey,
+  findKeyRole,
+  checkAuthority,
+  checkPostingAuthority,
+  verifyAuthorityKey,
+  verifyPostingKey,
+  createLoginChallenge,
+  verifyLoginSignature
+};
@@ -0,0 +1,137 @@
+import { fetchQuery, subscribeQuery } from './QueryCache';
+
+/**
+ * Reads through Hive's bridge API (get_ranked_posts, get_account_posts,
+ * get_post, get_discussion and get_community).
+ *
+ * Bridge posts carry community, reblog, mute and author role data plus
+ * normalized payouts, but their shape differs from the condenser posts
+ * the components were written for. Everything is passed through
+ * normalizePost, which keeps the condenser fields Post.js relies on
+ * (string json_metadata, net_votes, payout strings, vote percents) and
+ * adds the bridge extras under readable names.
+ */
+
+const ASSET_ZERO = '0.000 HBD';
+
+/**
+ * Convert one bridge post to the post shape used in the app
+ */
+export const normalizePost = (post) => {
+  if (!post) return null;
+
+  const stats = post.stats || {};
+  const metadata = typeof post.json_metadata === 'string'
+    ? post.json_metadata
+    : JSON.stringify(post.json_metadata || {});
+
+  return {
+    ...post,
+    json_metadata: metadata,
+    net_votes: post.net_votes ?? stats.total_votes ?? post.active_votes?.length ?? 0,
+    // Bridge votes only carry rshares; the sign is enough to tell an
+    // upvote from a downvote
+    active_votes: (post.active_votes || []).map(vote => ({
+      ...vote,
+      percent: vote.percent ?? (Number(vote.rshares) < 0 ? -10000 : 10000)
+    })),
+    pending_payout_value: post.pending_payout_value || ASSET_ZERO,
+    total_payout_value: post.total_payout_value || post.author_payout_value || ASSET_ZERO,
+    curator_payout_value: post.curator_payout_value || ASSET_ZERO,
+    payout: Number(post.payout) || 0,
+    isPaidOut: Boolean(post.is_paidout),
+    payoutAt: post.payout_at || null,
+    community: post.community || null,
+    communityTitle: post.community_title || null,
+    authorRole: post.author_role || null,
+    authorTitle: post.author_title || null,
+    rebloggedBy: post.reblogged_by || [],
+    isMuted: Boolean(stats.gray || stats.hide),
+    isPinned: Boolean(stats.is_pinned)
+  };
+};
+
+/**
+ * Convert a list of bridge posts
+ */
+export const normalizePosts = (posts) => (Array.isArray(posts) ? posts.map(normalizePost) : []);
+
+/**
+ * Turn a get_discussion result (every post of the thread keyed by
+ * author/permlink) into the root post and its direct replies
+ */
+export const normalizeDiscussion = (discussion, author, permlink) => {
+  const posts = discussion || {};
+  const root = posts[`${author}/${permlink}`];
+  if (!root) {
+    return { post: null, comments: [] };
+  }
+
+  const comments = (root.replies || [])
+    .map(key => posts[key])
+    .filter(Boolean)
+    .sort((a, b) => a.created.localeCompare(b.created))
+    .map(normalizePost);
+
+  return { post: normalizePost(root), comments };
+};
+
+/**
+ * Community names are "hive-" followed by a number
+ */
+export const isCommunityName = (name) => /^hive-\d+$/.test(name || '');
+
+/**
+ * Convert a get_community result to the shape used in the app
+ */
+export const normalizeCommunity = (community) => {
+  if (!community) return null;
+
+  return {
+    name: community.name,
+    title: community.title || community.name,
+    about: community.about || '',
+    description: community.description || '',
+    subscribers: Number(community.subscribers) || 0,
+    authors: Number(community.num_authors) || 0,
+    isNsfw: Boolean(community.is_nsfw),
+    team: (community.team || []).map(([name, role, title]) => ({ name, role, title }))
+  };
+};
+
+// How to normalize the result of each bridge method
+const ADAPTERS = {
+  get_ranked_posts: normalizePosts,
+  get_account_posts: normalizePosts,
+  get_post: normalizePost,
+  get_discussion: (result, params) => normalizeDiscussion(result, params.author, params.permlink),
+  get_community: normalizeCommunity
+};
+
+/**
+ * Read a bridge method through the query cache and normalize the result
+ */
+export const fetchBridge = async (client, method, params, options) => {
+  const result = await fetchQuery(client, `bridge.${method}`, params, options);
+  return ADAPTERS[method](result, params);
+};
+
+/**
+ * Subscribe to refreshed results of a bridge query. Returns an
+ * unsubscribe function.
+ */
+export const subscribeBridge = (client, method, params, listener) => {
+  return subscribeQuery(client, `bridge.${method}`, params, (result) => {
+    listener(ADAPTERS[method](result, params));
+  });
+};
+
+export default {
+  normalizePost,
+  normalizePosts,
+  normalizeDiscussion,
+  isCommunityName,
+  normalizeCommunity,
+  fetchBridge,
+  subscribeBridge
+};
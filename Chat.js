@@ -23,8 +23,10 @@ const Chat = () => {
   const messagesEndRef = useRef(null);
   const messageInputRef = useRef(null);
 
-  // Load conversations when component mounts
+  // Load conversations when component mounts or the account changes
   useEffect(() => {
+    setSelectedConversation(null);
+    setMessages([]);
     if (user) {
       loadConversations();
     }
@@ -56,7 +58,7 @@ const Chat = () => {
     setError('');
     
     try {
-      const result = await getConversations(user.name);
+      const result = await getConversations(user);
       if (result.success) {
         setConversations(result.conversations);
       } else {
@@ -102,7 +104,7 @@ const Chat = () => {
     try {
       const result = await sendMessage(
         selectedConversation.id,
-        user.name,
+        user,
         newMessage
       );
       
@@ -113,7 +115,7 @@ const Chat = () => {
         // Update the conversation's last message
         updateConversationLastMessage(
           selectedConversation.id,
-          user.name,
+          user,
           newMessage,
           new Date().toISOString()
         );
@@ -139,7 +141,7 @@ const Chat = () => {
     setError('');
     
     try {
-      const result = await createConversation(user.name, newChatUsername);
+      const result = await createConversation(user, newChatUsername);
       
       if (result.success) {
         // If this is a new conversation, add it to the list
@@ -169,7 +171,7 @@ const Chat = () => {
     if (!user) return;
     
     try {
-      await markMessagesAsRead(conversationId, user.name);
+      await markMessagesAsRead(conversationId, user);
       
       // Update the unread count in the conversation list
       setConversations(prevConversations => 
@@ -229,7 +231,7 @@ const Chat = () => {
   // Get the other participant in a conversation
   const getOtherParticipant = (conversation) => {
     if (!user || !conversation) return '';
-    return conversation.participants.find(p => p !== user.name) || '';
+    return conversation.participants.find(p => p !== user) || '';
   };
 
   if (!user) {
@@ -328,7 +330,7 @@ const Chat = () => {
                       </div>
                       {conversation.lastMessage && (
                         <p className="text-sm text-gray-600 truncate">
-                          {conversation.lastMessage.sender === user.name ? 'You: ' : ''}
+                          {conversation.lastMessage.sender === user ? 'You: ' : ''}
                           {conversation.lastMessage.content}
                         </p>
                       )}
@@ -374,7 +376,7 @@ const Chat = () => {
                   </div>
                 ) : messages.length > 0 ? (
                   messages.map((message) => {
-                    const isOwnMessage = message.sender === user.name;
+                    const isOwnMessage = message.sender === user;
                     return (
                       <div key={message.id} className={`flex ${isOwnMessage ? 'justify-end' : ''}`}>
                         {!isOwnMessage && (
@@ -0,0 +1,79 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { Link } from 'react-router-dom';
+import { HiveContext } from '../App';
+import { fetchBridge } from '../utils/BridgeUtils';
+
+/**
+ * Title, description and subscriber count shown above a community feed
+ */
+const CommunityHeader = ({ name }) => {
+  const { client, user } = useContext(HiveContext);
+  const [community, setCommunity] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!client) return;
+
+    let cancelled = false;
+    setCommunity(null);
+    setError('');
+
+    fetchBridge(client, 'get_community', { name, observer: user || '' })
+      .then(result => {
+        if (!cancelled) setCommunity(result);
+      })
+      .catch(err => {
+        console.error('Error fetching community:', err);
+        if (!cancelled) setError(err.message || 'Failed to load community');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [client, name, user]);
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-gray-600">
+        Could not load community {name}: {error}
+      </div>
+    );
+  }
+
+  if (!community) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 animate-pulse">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-3"></div>
+        <div className="h-4 bg-gray-200 rounded w-2/3"></div>
+      </div>
+    );
+  }
+
+  const moderators = community.team.filter(member => member.role === 'owner' || member.role === 'admin' || member.role === 'mod');
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap items-baseline justify-between gap-2 mb-2">
+        <h2 className="text-2xl font-bold">{community.title}</h2>
+        <span className="text-sm text-gray-500">
+          {community.subscribers.toLocaleString()} {community.subscribers === 1 ? 'subscriber' : 'subscribers'}
+        </span>
+      </div>
+      {community.about && <p className="text-gray-700 mb-2">{community.about}</p>}
+      {community.description && <p className="text-sm text-gray-500 mb-2">{community.description}</p>}
+      {moderators.length > 0 && (
+        <div className="text-sm text-gray-500">
+          Moderated by{' '}
+          {moderators.map((member, index) => (
+            <React.Fragment key={member.name}>
+              {index > 0 && ', '}
+              <Link to={`/profile/${member.name}`} className="hover:text-blue-600">@{member.name}</Link>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommunityHeader;
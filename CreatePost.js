@@ -2,10 +2,11 @@ import React, { useState, useContext, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { HiveContext } from '../App';
 import { getPostImageUrl } from '../utils/ImageUtils';
-import { Client, PrivateKey } from '@hiveio/dhive';
+import { getAccountItem, setAccountItem, removeAccountItem } from '../utils/AccountUtils';
+import MarkdownContent from './MarkdownContent';
 
 const CreatePost = () => {
-  const { user, client, isKeychain } = useContext(HiveContext);
+  const { user, client, signer, broadcast } = useContext(HiveContext);
   const navigate = useNavigate();
   
   const [title, setTitle] = useState('');
@@ -17,25 +18,35 @@ const CreatePost = () => {
   const [error, setError] = useState('');
   const [preview, setPreview] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
-  const [postingMethod, setPostingMethod] = useState(isKeychain ? 'keychain' : 'direct');
   const [debugInfo, setDebugInfo] = useState('');
-  const [localClient, setLocalClient] = useState(null);
-  const [timeoutId, setTimeoutId] = useState(null);
+  // Account whose draft is currently loaded in the form
+  const [draftUser, setDraftUser] = useState(null);
   
-  // Initialize a local client as fallback
+  // Restore the draft of the active account (drafts are kept per account)
   useEffect(() => {
-    // Create a local client if the context client is not available
-    if (!client) {
-      console.log('Creating local Hive client as fallback');
-      const nodes = [
-        'https://api.hive.blog',
-        'https://api.hivekings.com',
-        'https://anyx.io',
-        'https://api.openhive.network'
-      ];
-      setLocalClient(new Client(nodes));
+    const draft = getAccountItem(user, 'draft');
+    setTitle(draft?.title || '');
+    setBody(draft?.body || '');
+    setTags(draft?.tags || '');
+    setDraftUser(user);
+  }, [user]);
+  
+  // Save the draft as the user types
+  useEffect(() => {
+    // Skip until the draft of the current account has been restored
+    if (!user || draftUser !== user) return;
+    
+    try {
+      if (title || body || tags) {
+        setAccountItem(user, 'draft', { title, body, tags, savedAt: Date.now() });
+      } else {
+        removeAccountItem(user, 'draft');
+      }
+    } catch (err) {
+      // Large inline images can exceed the storage quota
+      console.error('Failed to save draft:', err);
     }
-  }, [client]);
+  }, [user, draftUser, title, body, tags]);
   
   // Redirect if not logged in
   useEffect(() => {
@@ -49,9 +60,8 @@ const CreatePost = () => {
     const status = {
       user: user || 'Not logged in',
       clientFromContext: client ? 'Available' : 'Not available',
-      localClient: localClient ? 'Available' : 'Not available',
       hiveKeychain: window.hive_keychain ? 'Installed' : 'Not installed',
-      postingMethod: postingMethod
+      signer: signer ? signer.label : 'Not available'
     };
     
     setDebugInfo(JSON.stringify(status, null, 2));
@@ -60,21 +70,8 @@ const CreatePost = () => {
   // Add a function to reset the form state
   const resetFormState = () => {
     setIsSubmitting(false);
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-      setTimeoutId(null);
-    }
   };
   
-  // Add cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
-    };
-  }, [timeoutId]);
-  
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -142,124 +139,43 @@ const CreatePost = () => {
     setIsSubmitting(true);
     
     try {
-      if (postingMethod === 'keychain' && window.hive_keychain) {
-        console.log('Attempting to post with Hive Keychain');
-        // Use Hive Keychain to broadcast the post
-        window.hive_keychain.requestPost(
-          user,
-          permlink,
-          tagArray[0] || 'hive-174695', // Use first tag or default community
-          title,
-          body,
-          JSON.stringify(jsonMetadata),
-          'posting', // Use posting authority
-          (response) => {
-            setIsSubmitting(false);
-            
-            if (response.success) {
-              console.log('Post successful with Keychain:', response);
-              // Show success message
-              setSuccessMessage('Post published successfully!');
-              
-              // Clear form after successful post
-              setTimeout(() => {
-                setTitle('');
-                setBody('');
-                setTags('');
-                setImageUrl('');
-                setSuccessMessage('');
-                
-                // Redirect to the new post
-                navigate(`/@${user}/${permlink}`);
-              }, 2000);
-            } else {
-              console.error('Keychain post failed:', response);
-              setError(`Failed to publish post: ${response.message || 'Unknown error'}`);
-              setDebugInfo(JSON.stringify(response, null, 2));
-            }
-          }
-        );
-      } else if (postingMethod === 'direct') {
-        // Fallback for non-Keychain users using direct API
-        try {
-          const activeClient = client || localClient;
-          
-          if (!activeClient) {
-            setError('Hive client not initialized. Please refresh the page.');
-            setIsSubmitting(false);
-            return;
-          }
-          
-          console.log('Attempting to post with direct API');
-          
-          // For direct API posting, we need the private posting key
-          const postingKeyString = prompt('Please enter your Hive posting private key to publish this post:');
-          
-          if (!postingKeyString) {
-            setError('Posting key is required to publish a post.');
-            setIsSubmitting(false);
-            return;
-          }
-          
-          // Convert the string key to a PrivateKey object
-          let postingKey;
-          try {
-            postingKey = PrivateKey.from(postingKeyString);
-            console.log('Private key created successfully');
-          } catch (keyError) {
-            console.error('Invalid private key format:', keyError);
-            setError('Invalid private key format. Please make sure you are using the correct private posting key.');
-            setIsSubmitting(false);
-            return;
-          }
-          
-          // Create the post operation
-          const operations = [
-            ['comment', {
-              parent_author: '',
-              parent_permlink: tagArray[0] || 'hive-174695',
-              author: user,
-              permlink: permlink,
-              title: title,
-              body: body,
-              json_metadata: JSON.stringify(jsonMetadata)
-            }]
-          ];
-          
-          console.log('Broadcasting operation:', operations);
-          
-          // Broadcast the transaction
-          const result = await activeClient.broadcast.sendOperations(operations, postingKey);
-          
-          console.log('Post successful with direct API:', result);
-          
-          // Show success message
-          setSuccessMessage('Post published successfully!');
+      // Create the post operation
+      const operations = [
+        ['comment', {
+          parent_author: '',
+          parent_permlink: tagArray[0] || 'hive-174695', // Use first tag or default community
+          author: user,
+          permlink: permlink,
+          title: title,
+          body: body,
+          json_metadata: JSON.stringify(jsonMetadata)
+        }]
+      ];
+      
+      console.log(`Broadcasting post with ${signer ? signer.label : 'no signer'}:`, operations);
+      
+      const result = await broadcast(operations);
+      
+      if (result.success) {
+        console.log('Post successful:', result);
+        // Show success message
+        setSuccessMessage(`Post published successfully!${result.txId ? ` (tx ${result.txId})` : ''}`);
+        
+        // Clear form after successful post
+        setTimeout(() => {
+          setTitle('');
+          setBody('');
+          setTags('');
+          setImageUrl('');
+          setSuccessMessage('');
           
-          // Clear form after successful post
-          setTimeout(() => {
-            setTitle('');
-            setBody('');
-            setTags('');
-            setImageUrl('');
-            setSuccessMessage('');
-            
-            // Redirect to the new post
-            navigate(`/@${user}/${permlink}`);
-          }, 2000);
-        } catch (err) {
-          console.error('Error creating post with direct API:', err);
-          setError(`Failed to publish post: ${err.message || 'Unknown error'}`);
-          setDebugInfo(JSON.stringify({
-            error: err.message,
-            stack: err.stack,
-            name: err.name
-          }, null, 2));
-          setIsSubmitting(false);
-        }
+          // Redirect to the new post
+          navigate(`/@${user}/${permlink}`);
+        }, 2000);
       } else {
-        setError('No posting method available. Please install Hive Keychain or use direct posting.');
-        setIsSubmitting(false);
+        console.error('Post failed:', result);
+        setError(`Failed to publish post: ${result.error || 'Unknown error'}`);
+        setDebugInfo(JSON.stringify(result, null, 2));
       }
     } catch (err) {
       console.error('Error creating post:', err);
@@ -269,6 +185,7 @@ const CreatePost = () => {
         stack: err.stack,
         name: err.name
       }, null, 2));
+    } finally {
       setIsSubmitting(false);
     }
   };
@@ -356,35 +273,6 @@ const CreatePost = () => {
     setDebugInfo('');
     
     try {
-      const activeClient = client || localClient;
-      
-      if (!activeClient) {
-        setError('Hive client not initialized. Please refresh the page.');
-        setIsSubmitting(false);
-        return;
-      }
-      
-      // For direct API posting, we need the private posting key
-      const postingKeyString = prompt('Please enter your Hive posting private key for this test post:');
-      
-      if (!postingKeyString) {
-        setError('Posting key is required for this test.');
-        setIsSubmitting(false);
-        return;
-      }
-      
-      // Convert the string key to a PrivateKey object
-      let postingKey;
-      try {
-        postingKey = PrivateKey.from(postingKeyString);
-        console.log('Private key created successfully for test post');
-      } catch (keyError) {
-        console.error('Invalid private key format:', keyError);
-        setError('Invalid private key format. Please make sure you are using the correct private posting key.');
-        setIsSubmitting(false);
-        return;
-      }
-      
       // Generate a simple permlink
       const testPermlink = `test-post-${Date.now()}`;
       
@@ -405,24 +293,18 @@ const CreatePost = () => {
       ];
       
       console.log('Test post operations:', JSON.stringify(operations));
-      console.log('Using key:', postingKey ? 'Valid key object' : 'Invalid key');
       
-      try {
-        // Broadcast the transaction
-        const result = await activeClient.broadcast.sendOperations(operations, postingKey);
-        
+      // Broadcast the transaction
+      const result = await broadcast(operations);
+      
+      if (result.success) {
         console.log('Test post successful:', result);
         setSuccessMessage('Test post published successfully!');
-        setDebugInfo(JSON.stringify(result, null, 2));
-      } catch (broadcastErr) {
-        console.error('Broadcast error:', broadcastErr);
-        setError(`Failed to broadcast: ${broadcastErr.message || 'Unknown error'}`);
-        setDebugInfo(JSON.stringify({
-          error: broadcastErr.message,
-          data: broadcastErr.data,
-          name: broadcastErr.name
-        }, null, 2));
+      } else {
+        console.error('Broadcast error:', result.error);
+        setError(`Failed to broadcast: ${result.error || 'Unknown error'}`);
       }
+      setDebugInfo(JSON.stringify(result, null, 2));
     } catch (err) {
       console.error('Error creating test post:', err);
       setError(`Failed to publish test post: ${err.message || 'Unknown error'}`);
@@ -453,45 +335,14 @@ const CreatePost = () => {
       return;
     }
     
-    // Reset any existing timeouts
-    resetFormState();
-    
+    // No timeout here: broadcast waits for the user to confirm the
+    // transaction and always settles, and giving up early would let a
+    // later confirmation publish a post the form thinks failed
     setIsSubmitting(true);
     setError('');
     setDebugInfo('');
     
-    // Set a timeout to reset the submitting state if it takes too long
-    const timeout = setTimeout(() => {
-      setIsSubmitting(false);
-      setError('Posting timed out. Please try again.');
-      console.log('Posting timed out after 30 seconds');
-    }, 30000); // 30 second timeout
-    
-    setTimeoutId(timeout);
-    
     try {
-      // Create a new client directly
-      const directClient = new Client(['https://api.hive.blog', 'https://api.openhive.network']);
-      
-      // For direct API posting, we need the private posting key
-      const postingKeyString = prompt('Please enter your Hive posting private key to publish this post:');
-      
-      if (!postingKeyString) {
-        setError('Posting key is required to publish a post.');
-        resetFormState();
-        return;
-      }
-      
-      // Convert the string key to a PrivateKey object
-      let postingKey;
-      try {
-        postingKey = PrivateKey.from(postingKeyString);
-      } catch (keyError) {
-        setError('Invalid private key format. Please make sure you are using the correct private posting key.');
-        resetFormState();
-        return;
-      }
-      
       // Generate a simple permlink
       const simplePermlink = `post-${Date.now()}`;
       
@@ -516,13 +367,17 @@ const CreatePost = () => {
       console.log('Attempting to broadcast with operations:', JSON.stringify(operations));
       
       // Broadcast the transaction
-      const result = await directClient.broadcast.sendOperations(operations, postingKey);
+      const result = await broadcast(operations);
       
-      console.log('Post successful with direct method:', result);
+      if (!result.success) {
+        console.error('Error creating post with direct method:', result.error);
+        setError(`Failed to publish post: ${result.error || 'Unknown error'}`);
+        setDebugInfo(JSON.stringify(result, null, 2));
+        setIsSubmitting(false);
+        return;
+      }
       
-      // Clear the timeout since we succeeded
-      clearTimeout(timeout);
-      setTimeoutId(null);
+      console.log('Post successful with direct method:', result);
       
       setSuccessMessage('Post published successfully!');
       setIsSubmitting(false);
@@ -540,10 +395,6 @@ const CreatePost = () => {
       }, 2000);
       
     } catch (err) {
-      // Clear the timeout since we got an error
-      clearTimeout(timeout);
-      setTimeoutId(null);
-      
       console.error('Error creating post with direct method:', err);
       setError(`Failed to publish post: ${err.message || 'Unknown error'}`);
       setDebugInfo(JSON.stringify({
@@ -613,47 +464,24 @@ const CreatePost = () => {
         </button>
       </div>
       
-      {/* Posting method selection */}
+      {/* Signing method */}
       <div className="mb-6">
         <h3 className="text-lg font-semibold mb-2">Posting Method</h3>
-        <div className="flex space-x-4">
-          {window.hive_keychain && (
-            <label className="inline-flex items-center">
-              <input
-                type="radio"
-                className="form-radio"
-                name="postingMethod"
-                value="keychain"
-                checked={postingMethod === 'keychain'}
-                onChange={() => setPostingMethod('keychain')}
-              />
-              <span className="ml-2">Hive Keychain</span>
-            </label>
-          )}
-          <label className="inline-flex items-center">
-            <input
-              type="radio"
-              className="form-radio"
-              name="postingMethod"
-              value="direct"
-              checked={postingMethod === 'direct'}
-              onChange={() => setPostingMethod('direct')}
-            />
-            <span className="ml-2">Direct Posting (requires private key)</span>
-          </label>
-        </div>
+        <p className="text-gray-700">
+          Signing with <span className="font-medium">{signer ? signer.label : 'no signer'}</span>
+        </p>
         
-        {postingMethod === 'direct' && (
+        {signer?.type === 'key' && (
           <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mt-2">
             <p className="font-bold">Security Notice:</p>
-            <p>You're posting using the direct method. You'll need to enter your private posting key when publishing.</p>
+            <p>You're posting with a private key. If it isn't already in memory, you'll be asked for your private posting key when publishing.</p>
             <p className="mt-2">For better security, we recommend installing the <a href="https://chrome.google.com/webstore/detail/hive-keychain/jcacnejopjdphbnjgfaaobbfafkihpep" target="_blank" rel="noopener noreferrer" className="underline">Hive Keychain extension</a>.</p>
           </div>
         )}
         
-        {!window.hive_keychain && postingMethod === 'keychain' && (
+        {signer?.type === 'keychain' && !window.hive_keychain && (
           <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mt-2">
-            <p>Hive Keychain is not installed. Please install the extension or use direct posting.</p>
+            <p>Hive Keychain is not installed. Please install the extension or log in with your posting key.</p>
             <p className="mt-2">
               <a 
                 href="https://chrome.google.com/webstore/detail/hive-keychain/jcacnejopjdphbnjgfaaobbfafkihpep" 
@@ -798,38 +626,11 @@ const CreatePost = () => {
         ) : (
           <div className="border rounded p-4">
             <h2 className="text-2xl font-bold mb-4">{title || 'Post Title'}</h2>
-            <div className="prose max-w-none mb-4">
-              {body ? 
-                body.split('\n').map((paragraph, idx) => {
-                  // Handle image markdown
-                  if (paragraph.startsWith('![') && paragraph.includes('](') && paragraph.endsWith(')')) {
-                    const altTextMatch = paragraph.match(/!\[(.*?)\]/);
-                    const urlMatch = paragraph.match(/\((.*?)\)/);
-                    
-                    if (urlMatch && urlMatch[1]) {
-                      return (
-                        <div key={idx} className="my-4">
-                          <img 
-                            src={urlMatch[1]} 
-                            alt={altTextMatch ? altTextMatch[1] : 'Post image'} 
-                            className="max-w-full rounded" 
-                          />
-                        </div>
-                      );
-                    }
-                  }
-                  
-                  // Handle regular paragraphs
-                  return paragraph ? (
-                    <p key={idx}>{paragraph}</p>
-                  ) : (
-                    <br key={idx} />
-                  );
-                })
-              : (
-                <p className="text-gray-500">Post content will appear here...</p>
-              )}
-            </div>
+            {body ? (
+              <MarkdownContent body={body} className="mb-4" />
+            ) : (
+              <p className="text-gray-500 mb-4">Post content will appear here...</p>
+            )}
             {tags && (
               <div className="mt-4">
                 {tags.split(' ').map((tag, index) => (
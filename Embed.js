@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { getEmbed } from '../utils/EmbedUtils';
+
+/**
+ * Click-to-load placeholder for an embedded player. Nothing is requested
+ * from the provider until the reader clicks.
+ */
+const Embed = ({ url }) => {
+  const [loaded, setLoaded] = useState(false);
+  const embed = getEmbed(url);
+  if (!embed) return null;
+
+  const frameStyle = embed.height ? { height: embed.height } : undefined;
+  const frameClass = embed.kind === 'video' ? 'aspect-video' : '';
+
+  if (loaded) {
+    return (
+      <div className={`w-full ${frameClass}`} style={frameStyle}>
+        <iframe
+          src={embed.src}
+          title={`${embed.label} embed`}
+          className="w-full h-full rounded border-0"
+          allow="autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture"
+          allowFullScreen
+          referrerPolicy="strict-origin-when-cross-origin"
+          sandbox="allow-scripts allow-same-origin allow-popups allow-presentation"
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`w-full ${frameClass} flex flex-col items-center justify-center gap-2 bg-gray-100 border border-gray-200 rounded p-4 text-center`}
+      style={frameStyle}
+    >
+      <button
+        type="button"
+        onClick={() => setLoaded(true)}
+        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+      >
+        Load {embed.label} {embed.kind === 'post' ? 'post' : embed.kind === 'audio' ? 'player' : 'video'}
+      </button>
+      <p className="text-xs text-gray-500">
+        Loading it shares your IP address with {embed.label}.
+      </p>
+      <a href={embed.url} target="_blank" rel="noopener noreferrer nofollow" className="text-xs break-all">
+        {embed.url}
+      </a>
+    </div>
+  );
+};
+
+export default Embed;
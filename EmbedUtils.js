@@ -0,0 +1,124 @@
+/**
+ * Embeddable media links in posts (YouTube, Vimeo, 3Speak, Twitter/X and
+ * Spotify).
+ *
+ * getEmbed(url) recognizes a link and returns what is needed to show it:
+ *   { provider, label, url, src, kind, height }
+ * where `url` is the canonical link, `src` the player to load in an
+ * iframe, `kind` one of video, post or audio, and `height` the iframe
+ * height for players that are not 16:9. Players use the providers'
+ * privacy-friendly variants where there is one, and are only loaded
+ * once the reader asks for them.
+ */
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+
+const parseUrl = (href) => {
+  try {
+    const url = new URL(href);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const youtube = (url, host, path) => {
+  let id = null;
+  if (host === 'youtu.be') {
+    id = path[0];
+  } else if (host === 'youtube.com' || host === 'm.youtube.com' || host === 'youtube-nocookie.com') {
+    id = path[0] === 'watch' ? url.searchParams.get('v') : ['embed', 'shorts', 'live'].includes(path[0]) ? path[1] : null;
+  }
+  if (!id || !YOUTUBE_ID.test(id)) return null;
+
+  return {
+    provider: 'youtube',
+    label: 'YouTube',
+    url: `https://www.youtube.com/watch?v=${id}`,
+    src: `https://www.youtube-nocookie.com/embed/${id}?autoplay=1`,
+    kind: 'video'
+  };
+};
+
+const vimeo = (url, host, path) => {
+  const id = host === 'vimeo.com' ? path[0] : host === 'player.vimeo.com' && path[0] === 'video' ? path[1] : null;
+  if (!id || !/^\d+$/.test(id)) return null;
+
+  return {
+    provider: 'vimeo',
+    label: 'Vimeo',
+    url: `https://vimeo.com/${id}`,
+    src: `https://player.vimeo.com/video/${id}?dnt=1&autoplay=1`,
+    kind: 'video'
+  };
+};
+
+const threeSpeak = (url, host, path) => {
+  if (host !== '3speak.tv' || !['watch', 'embed'].includes(path[0])) return null;
+  const video = url.searchParams.get('v') || '';
+  if (!/^[a-z0-9.-]+\/[\w-]+$/.test(video)) return null;
+
+  return {
+    provider: '3speak',
+    label: '3Speak',
+    url: `https://3speak.tv/watch?v=${video}`,
+    src: `https://3speak.tv/embed?v=${video}&autoplay=true`,
+    kind: 'video'
+  };
+};
+
+const twitter = (url, host, path) => {
+  if (!['twitter.com', 'mobile.twitter.com', 'x.com'].includes(host)) return null;
+  const [account, status, id] = path;
+  if (status !== 'status' || !/^\w{1,15}$/.test(account || '') || !/^\d+$/.test(id || '')) return null;
+
+  return {
+    provider: 'twitter',
+    label: 'X (Twitter)',
+    url: `https://x.com/${account}/status/${id}`,
+    src: `https://platform.twitter.com/embed/Tweet.html?id=${id}&dnt=true`,
+    kind: 'post',
+    height: 560
+  };
+};
+
+const SPOTIFY_HEIGHTS = { track: 152, episode: 152, album: 352, playlist: 352, show: 352, artist: 352 };
+
+const spotify = (url, host, path) => {
+  if (host !== 'open.spotify.com') return null;
+  // Localized links start with e.g. /intl-de/, players with /embed/
+  const skip = path[0] === 'embed' || (path[0] || '').startsWith('intl-') ? 1 : 0;
+  const [type, id] = path.slice(skip);
+  if (!SPOTIFY_HEIGHTS[type] || !/^[A-Za-z0-9]{22}$/.test(id || '')) return null;
+
+  return {
+    provider: 'spotify',
+    label: 'Spotify',
+    url: `https://open.spotify.com/${type}/${id}`,
+    src: `https://open.spotify.com/embed/${type}/${id}`,
+    kind: 'audio',
+    height: SPOTIFY_HEIGHTS[type]
+  };
+};
+
+const PROVIDERS = [youtube, vimeo, threeSpeak, twitter, spotify];
+
+/**
+ * The embed for a link, or null when it is not embeddable
+ */
+export const getEmbed = (href) => {
+  const url = parseUrl(href);
+  if (!url) return null;
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const path = url.pathname.split('/').filter(Boolean);
+  for (const provider of PROVIDERS) {
+    const embed = provider(url, host, path);
+    if (embed) return embed;
+  }
+  return null;
+};
+
+export default {
+  getEmbed
+};
@@ -3,15 +3,16 @@ import { HiveContext } from '../App';
 import { followUser, unfollowUser, checkIfFollowing } from '../utils/SocialUtils';
 
 const FollowButton = ({ username }) => {
-  const { client, user } = useContext(HiveContext);
+  const { client, user, signer } = useContext(HiveContext);
   const [isFollowing, setIsFollowing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState('');
+  const [confirmation, setConfirmation] = useState('');
 
   // Check if the current user is following the profile user
   useEffect(() => {
-    if (user && username && user.name !== username) {
+    if (user && username && user !== username) {
       checkFollowStatus();
     } else {
       setLoading(false);
@@ -23,9 +24,11 @@ const FollowButton = ({ username }) => {
     setError('');
     
     try {
-      const result = await checkIfFollowing(client, user.name, username);
+      const result = await checkIfFollowing(client, user, username);
       if (result.success) {
         setIsFollowing(result.isFollowing);
+      } else {
+        setError(result.error || 'Could not check follow status');
       }
     } catch (err) {
       console.error('Error checking follow status:', err);
@@ -42,14 +45,19 @@ const FollowButton = ({ username }) => {
     
     setProcessing(true);
     setError('');
+    setConfirmation('');
     
     try {
       const result = isFollowing
-        ? await unfollowUser(client, user.name, username)
-        : await followUser(client, user.name, username);
+        ? await unfollowUser(signer, user, username)
+        : await followUser(signer, user, username);
       
       if (result.success) {
         setIsFollowing(!isFollowing);
+        setConfirmation(
+          `${isFollowing ? 'Unfollowed' : 'Followed'} @${username}` +
+          (result.txId ? ` (tx ${result.txId.slice(0, 8)})` : '')
+        );
       } else {
         setError(result.error || `Failed to ${isFollowing ? 'unfollow' : 'follow'} user`);
       }
@@ -61,7 +69,7 @@ const FollowButton = ({ username }) => {
   };
 
   // Don't show follow button on own profile or if not logged in
-  if (!user || user.name === username) {
+  if (!user || user === username) {
     return null;
   }
 
@@ -99,6 +107,12 @@ const FollowButton = ({ username }) => {
         )}
       </button>
       
+      {confirmation && (
+        <div className="text-green-600 text-sm mt-2">
+          {confirmation}
+        </div>
+      )}
+      
       {error && (
         <div className="text-red-500 text-sm mt-2">
           {error}
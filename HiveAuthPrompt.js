@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+/**
+ * Modal shown while a HiveAuth wallet has to approve something: a QR code
+ * and deep link for login requests, or a reminder to open the wallet for
+ * signing requests
+ */
+const HiveAuthPrompt = ({ title, message, link = null, expire = null, onCancel }) => {
+  const [qrCode, setQrCode] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    if (!link) return;
+
+    let cancelled = false;
+    QRCode.toDataURL(link, { width: 240, margin: 1 })
+      .then(url => {
+        if (!cancelled) setQrCode(url);
+      })
+      .catch(err => console.error('Error creating QR code:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [link]);
+
+  // Count down to the request expiry announced by the server
+  useEffect(() => {
+    if (!expire) return;
+
+    const update = () => setSecondsLeft(Math.max(0, Math.round((expire - Date.now()) / 1000)));
+    update();
+    const timer = setInterval(update, 1000);
+    return () => clearInterval(timer);
+  }, [expire]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg max-w-sm w-full p-6 text-center">
+        <h2 className="text-xl font-semibold mb-2 text-gray-800">{title}</h2>
+        <p className="text-sm text-gray-600 mb-4">{message}</p>
+
+        {link && (
+          <div className="mb-4">
+            {qrCode ? (
+              <img src={qrCode} alt="HiveAuth QR code" className="mx-auto w-60 h-60" />
+            ) : (
+              <div className="mx-auto w-60 h-60 bg-gray-100 animate-pulse rounded"></div>
+            )}
+            <a
+              href={link}
+              className="inline-block mt-3 text-blue-500 hover:underline text-sm"
+            >
+              Open in wallet app
+            </a>
+          </div>
+        )}
+
+        {!link && (
+          <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mx-auto mb-4"></div>
+        )}
+
+        {secondsLeft !== null && (
+          <p className="text-xs text-gray-500 mb-4">
+            This request expires in {secondsLeft}s
+          </p>
+        )}
+
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HiveAuthPrompt;
@@ -0,0 +1,230 @@
+import CryptoJS from 'crypto-js';
+import { getAccountItem, setAccountItem } from './AccountUtils';
+
+/**
+ * HiveAuth (HAS) protocol client.
+ *
+ * The app talks to a HAS server over a websocket. Login sends an auth
+ * request encrypted with a random key that only reaches the wallet through
+ * the QR code / deep link, and the wallet answers with a session token.
+ * Signing requests for that session go through the same websocket.
+ * Point REACT_APP_HAS_SERVER at a local mock server to test without a wallet.
+ */
+
+export const HAS_CONFIG = {
+  serverUrl: process.env.REACT_APP_HAS_SERVER || 'wss://hive-auth.arcange.eu',
+  app: {
+    name: 'HiveSocial',
+    description: 'HiveSocial - a social media client for the Hive blockchain',
+    icon: `${window.location.origin}/hive-logo.png`
+  }
+};
+
+// How long to wait for the server when it does not announce an expiry
+const DEFAULT_REQUEST_TIMEOUT_MS = 60 * 1000;
+
+// Shared websocket and the handlers listening on it
+let socket = null;
+let socketReady = null;
+const handlers = new Set();
+
+/**
+ * AES encryption in the passphrase (OpenSSL) format used by HAS wallets
+ */
+const encrypt = (data, key) => CryptoJS.AES.encrypt(JSON.stringify(data), key).toString();
+
+const decrypt = (data, key) => {
+  const text = CryptoJS.AES.decrypt(data, key).toString(CryptoJS.enc.Utf8);
+  if (!text) {
+    throw new Error('Could not decrypt the HiveAuth response');
+  }
+  return JSON.parse(text);
+};
+
+/**
+ * Open the websocket to the HAS server (or reuse the open one)
+ */
+const connect = () => {
+  if (socket && socket.readyState <= WebSocket.OPEN) {
+    return socketReady;
+  }
+
+  const ws = new WebSocket(HAS_CONFIG.serverUrl);
+  socket = ws;
+  socketReady = new Promise((resolve, reject) => {
+    ws.onopen = () => resolve(ws);
+    ws.onerror = () => reject(new Error(`Could not connect to the HiveAuth server at ${HAS_CONFIG.serverUrl}`));
+  });
+
+  ws.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      return;
+    }
+    handlers.forEach(handler => handler(message));
+  };
+
+  ws.onclose = () => {
+    if (socket === ws) {
+      socket = null;
+    }
+    handlers.forEach(handler => handler({ cmd: 'closed' }));
+  };
+
+  return socketReady;
+};
+
+/**
+ * Send a request and wait for the wallet's answer.
+ * `type` is the command prefix (auth, sign); `onWait` is called with the
+ * server's *_wait message once the request has been forwarded.
+ */
+const sendRequest = async (message, type, onWait) => {
+  const ws = await connect();
+
+  return new Promise((resolve, reject) => {
+    let uuid = null;
+    let timer = null;
+
+    const finish = (callback, value) => {
+      clearTimeout(timer);
+      handlers.delete(handle);
+      callback(value);
+    };
+
+    const startTimer = (ms) => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        finish(reject, new Error('The HiveAuth request expired before it was approved'));
+      }, ms);
+    };
+
+    function handle(msg) {
+      if (msg.cmd === 'closed') {
+        finish(reject, new Error('Lost the connection to the HiveAuth server'));
+        return;
+      }
+
+      if (msg.cmd === `${type}_wait` && !uuid) {
+        uuid = msg.uuid;
+        startTimer(msg.expire ? msg.expire - Date.now() : DEFAULT_REQUEST_TIMEOUT_MS);
+        if (onWait) onWait(msg);
+        return;
+      }
+
+      // Errors about a request can arrive before it was given a uuid
+      if (msg.uuid && msg.uuid !== uuid) return;
+
+      if (msg.cmd === `${type}_ack`) {
+        finish(resolve, msg);
+      } else if (msg.cmd === `${type}_nack`) {
+        finish(reject, new Error('The request was rejected in the wallet'));
+      } else if (msg.cmd === `${type}_err`) {
+        finish(reject, new Error(msg.error || 'The HiveAuth server returned an error'));
+      }
+    }
+
+    handlers.add(handle);
+    startTimer(DEFAULT_REQUEST_TIMEOUT_MS);
+    ws.send(JSON.stringify(message));
+  });
+};
+
+/**
+ * Build the has:// deep link (also used as QR code content) for an auth request
+ */
+export const buildAuthLink = (username, uuid, authKey) => {
+  const payload = { account: username, uuid, key: authKey, host: HAS_CONFIG.serverUrl };
+  return `has://auth_req/${btoa(JSON.stringify(payload))}`;
+};
+
+/**
+ * Ask a wallet to log in `username`. `onWait` receives { link, expire }
+ * as soon as the deep link can be shown. When a login challenge is given
+ * the wallet signs it and the signature is returned for verification.
+ */
+export const requestHiveAuthLogin = async (username, { challenge = null, onWait } = {}) => {
+  const authKey = window.crypto.randomUUID();
+  const data = { app: HAS_CONFIG.app };
+  if (challenge) {
+    data.challenge = { key_type: 'posting', challenge: challenge.message };
+  }
+
+  try {
+    const ack = await sendRequest(
+      { cmd: 'auth_req', account: username, data: encrypt(data, authKey) },
+      'auth',
+      (wait) => {
+        if (onWait) {
+          onWait({ link: buildAuthLink(username, wait.uuid, authKey), expire: wait.expire });
+        }
+      }
+    );
+
+    const reply = decrypt(ack.data, authKey);
+    if (!reply.token) {
+      return { success: false, error: 'The wallet did not return a session token' };
+    }
+
+    return {
+      success: true,
+      session: { token: reply.token, authKey, expiresAt: reply.expire || null },
+      signature: reply.challenge?.challenge || null,
+      publicKey: reply.challenge?.pubkey || null
+    };
+  } catch (err) {
+    console.error('HiveAuth login failed:', err);
+    return { success: false, error: err.message || 'HiveAuth login failed' };
+  }
+};
+
+/**
+ * Ask the wallet of an existing session to sign and broadcast operations.
+ * Resolves to the transaction confirmation or throws.
+ */
+export const requestHiveAuthSignature = async (username, session, operations, authority, onWait) => {
+  const ack = await sendRequest(
+    {
+      cmd: 'sign_req',
+      account: username,
+      token: session.token,
+      data: encrypt({ key_type: authority, ops: operations, broadcast: true }, session.authKey)
+    },
+    'sign',
+    onWait
+  );
+
+  // The wallet answers with the transaction id
+  return typeof ack.data === 'string' ? { id: ack.data } : ack.data;
+};
+
+/**
+ * Whether a HiveAuth session has expired
+ */
+export const isHiveAuthSessionExpired = (session) => {
+  return !session || !session.token || (Boolean(session.expiresAt) && Date.now() >= session.expiresAt);
+};
+
+/**
+ * Read the stored HiveAuth session of an account
+ */
+export const loadHiveAuthSession = (username) => getAccountItem(username, 'hiveauth');
+
+/**
+ * Store the HiveAuth session of an account
+ */
+export const saveHiveAuthSession = (username, session) => {
+  setAccountItem(username, 'hiveauth', session);
+};
+
+export default {
+  HAS_CONFIG,
+  buildAuthLink,
+  requestHiveAuthLogin,
+  requestHiveAuthSignature,
+  isHiveAuthSessionExpired,
+  loadHiveAuthSession,
+  saveHiveAuthSession
+};
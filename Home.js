@@ -1,9 +1,69 @@
-import React, { useState, useEffect, useContext, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useContext, useCallback, useRef } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { HiveContext } from '../App';
 import Post from './Post';
+import CommunityHeader from './CommunityHeader';
+import { fetchBridge, subscribeBridge, isCommunityName } from '../utils/BridgeUtils';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useWindowedList from '../hooks/useWindowedList';
 
 // Categories for filtering posts
-const CATEGORIES = ['trending', 'hot', 'created', 'blog', 'promoted'];
+const CATEGORIES = [
+  { id: 'trending', label: 'Trending' },
+  { id: 'hot', label: 'Hot' },
+  { id: 'created', label: 'New' },
+  { id: 'feed', label: 'Following' },
+  { id: 'blog', label: 'My Blog' },
+  { id: 'promoted', label: 'Promoted' }
+];
+
+// Categories built from the logged in user's account
+const USER_CATEGORIES = ['feed', 'blog'];
+
+// Categories listing the latest posts (or reblogs) first. In the others
+// posts move up and down the ranking, so a post missing from the list is
+// not necessarily new.
+const NEWEST_FIRST_CATEGORIES = ['created', 'feed', 'blog'];
+
+const getCategoryLabel = (category) => (
+  CATEGORIES.find(cat => cat.id === category)?.label || category
+);
+
+// Number of posts loaded per request
+const FEED_LIMIT = 10;
+
+// How often the first page is refetched to look for new posts
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// Feeds that were navigated away from, by history entry, so going back
+// from a post shows the same posts instead of loading the feed again
+const savedFeeds = new Map();
+const MAX_SAVED_FEEDS = 10;
+
+/**
+ * Bridge method and parameters for a category. "feed" is what the logged
+ * in user follows (including reblogs) and "blog" their own blog; the
+ * others are ranked post lists, optionally of a tag or community. Pages
+ * after the first start at the last post already shown.
+ */
+const getFeedRequest = (category, tag, user, cursor = null) => {
+  const paging = cursor ? { start_author: cursor.author, start_permlink: cursor.permlink } : {};
+  if (USER_CATEGORIES.includes(category)) {
+    return ['get_account_posts', { sort: category, account: user, limit: FEED_LIMIT, observer: user, ...paging }];
+  }
+  return ['get_ranked_posts', { sort: category, tag, limit: FEED_LIMIT, observer: user || '', ...paging }];
+};
+
+const postKey = (post) => `${post.author}/${post.permlink}`;
+
+/**
+ * Append a page, dropping posts that are already listed (the start post
+ * of a page, or posts that moved between pages while scrolling)
+ */
+const appendPage = (posts, page) => {
+  const seen = new Set(posts.map(postKey));
+  return [...posts, ...page.filter(post => !seen.has(postKey(post)))];
+};
 
 // Sample data for fallback when API fails
 const SAMPLE_POSTS = [
@@ -31,52 +91,100 @@ const SAMPLE_POSTS = [
   }
 ];
 
-const Home = () => {
-  const { client } = useContext(HiveContext);
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
+/**
+ * The post feed. On the tag routes (/trending/photography,
+ * /created/hive-123456) `sort` comes from the route and the feed is
+ * limited to the tag or community in the URL.
+ */
+const Home = ({ sort }) => {
+  const { client, user } = useContext(HiveContext);
+  const { tag = '' } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [restoredFeed] = useState(() => savedFeeds.get(location.key) || null);
+  const [posts, setPosts] = useState(restoredFeed?.posts || []);
+  const [loading, setLoading] = useState(!restoredFeed);
   const [error, setError] = useState('');
-  const [category, setCategory] = useState('trending');
-  const [hasMore, setHasMore] = useState(true);
-  const [lastPost, setLastPost] = useState(null);
+  const [category, setCategory] = useState(restoredFeed?.category || sort || 'trending');
+  const [hasMore, setHasMore] = useState(restoredFeed?.hasMore ?? true);
+  const [lastPost, setLastPost] = useState(restoredFeed?.lastPost || null);
   const [usingSampleData, setUsingSampleData] = useState(false);
+  const [newPosts, setNewPosts] = useState([]);
+
+  // Pages of an older category that arrive late are ignored
+  const requestIdRef = useRef(0);
+
+  // The listed posts, kept in a ref so that pages and refreshes arriving
+  // before the next render still see the latest list
+  const postsRef = useRef(posts);
+  const showPosts = useCallback((nextPosts) => {
+    postsRef.current = nextPosts;
+    setPosts(nextPosts);
+  }, []);
 
-  // Fetch posts with proper error handling and caching
-  const fetchPosts = useCallback(async (reset = false) => {
+  // Scroll position to restore once merged posts have rendered
+  const scrollAnchorRef = useRef(null);
+
+  // Fetch the first page (no cursor) or the page after `cursor`
+  const fetchPosts = useCallback(async (cursor = null) => {
     if (!client) {
       console.error('No Hive client available');
       setError('Hive client not initialized');
       setLoading(false);
       // Use sample data as fallback
-      setPosts(SAMPLE_POSTS);
+      showPosts(SAMPLE_POSTS);
       setUsingSampleData(true);
       return;
     }
 
+    // Wait for the switch back to trending after logging out
+    if (USER_CATEGORIES.includes(category) && !user) return;
+
+    const requestId = cursor ? requestIdRef.current : ++requestIdRef.current;
+
     try {
       setLoading(true);
+      setError('');
       
-      // If reset, clear existing posts
-      if (reset) {
-        setPosts([]);
+      // A first page replaces the list
+      if (!cursor) {
+        showPosts([]);
+        setNewPosts([]);
         setLastPost(null);
+        setHasMore(true);
       }
 
-      // Prepare query parameters
-      const query = {
-        limit: 10,
-        tag: '',
-      };
-
-      console.log(`Fetching ${category} posts...`, query);
+      const [method, params] = getFeedRequest(category, tag, user, cursor);
+      console.log(`Fetching ${category} posts...`, params);
       
       // Fetch posts from Hive
-      const result = await client.database.getDiscussions(category, query);
+      const result = await fetchBridge(client, method, params);
       console.log('Fetched posts:', result);
+      if (requestId !== requestIdRef.current) return;
+
+      if (cursor) {
+        const prevPosts = postsRef.current;
+        const nextPosts = appendPage(prevPosts, result);
+        showPosts(nextPosts);
+        // A short page, or one with nothing new, is the end of the feed
+        if (result.length < FEED_LIMIT || nextPosts.length === prevPosts.length) {
+          setHasMore(false);
+        }
+        if (result.length > 0) {
+          setLastPost(result[result.length - 1]);
+        }
+        return;
+      }
 
       // Process results
       if (Array.isArray(result) && result.length > 0) {
-        setPosts(result);
+        showPosts(result);
+        setLastPost(result[result.length - 1]);
+        setHasMore(result.length === FEED_LIMIT);
+        setUsingSampleData(false);
+      } else if (USER_CATEGORIES.includes(category) || tag) {
+        // Nothing followed or posted yet, or an empty tag
+        setHasMore(false);
         setUsingSampleData(false);
       } else {
         console.log('No posts returned, trying another category');
@@ -87,36 +195,170 @@ const Home = () => {
           setCategory('created');
         } else {
           // If all else fails, use sample data
-          setPosts(SAMPLE_POSTS);
+          showPosts(SAMPLE_POSTS);
           setUsingSampleData(true);
           setError('Could not fetch posts from Hive. Showing sample content.');
         }
       }
     } catch (err) {
       console.error('Error fetching posts:', err);
+      if (requestId !== requestIdRef.current) return;
       setError(`Failed to fetch posts: ${err.message || 'Unknown error'}`);
       
-      // Use sample data as fallback
-      setPosts(SAMPLE_POSTS);
-      setUsingSampleData(true);
+      // Keep the pages already loaded; only an empty feed falls back to
+      // sample data
+      if (!cursor) {
+        showPosts(SAMPLE_POSTS);
+        setUsingSampleData(true);
+      }
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [client, category, tag, user, showPosts]);
+
+  // Load the next page when the end of the list scrolls into view
+  const loadMore = useCallback(() => {
+    if (loading || !hasMore || !lastPost || usingSampleData || error) return;
+    fetchPosts(lastPost);
+  }, [loading, hasMore, lastPost, usingSampleData, error, fetchPosts]);
+
+  const [lastElementRef] = useInfiniteScroll(loadMore, hasMore && !loading);
+
+  // Follow the sort in the URL on the tag routes
+  useEffect(() => {
+    if (sort) setCategory(sort);
+  }, [sort]);
+
+  // The following and blog categories need a logged in user
+  useEffect(() => {
+    if (!user && USER_CATEGORIES.includes(category)) {
+      setCategory('trending');
+    }
+  }, [user, category]);
+
+  // Initial load, unless the feed was restored
+  useEffect(() => {
+    if (restoredFeed && postsRef.current === restoredFeed.posts &&
+        restoredFeed.category === category && restoredFeed.tag === tag) {
+      return;
     }
-  }, [client, category]);
+    fetchPosts();
+  }, [fetchPosts, category, tag, restoredFeed]);
+
+  // Keep the feed for when the reader comes back to this history entry
+  const feedStateRef = useRef(null);
+  useEffect(() => {
+    feedStateRef.current = usingSampleData || posts.length === 0
+      ? null
+      : { category, tag, posts, lastPost, hasMore };
+  });
+
+  useEffect(() => {
+    const key = location.key;
+    return () => {
+      savedFeeds.delete(key);
+      if (!feedStateRef.current) return;
+      savedFeeds.set(key, feedStateRef.current);
+      if (savedFeeds.size > MAX_SAVED_FEEDS) {
+        savedFeeds.delete(savedFeeds.keys().next().value);
+      }
+    };
+  }, [location.key]);
+
+  // Only the posts near the viewport are mounted
+  const { containerRef, containerStyle, virtualItems, measureRef } = useWindowedList(posts, postKey, {
+    restoreKey: `feed:${location.key}`
+  });
+
+  // When the first page is refetched, update the listed posts in place
+  // and hold back new ones for the "new posts" banner, so the list never
+  // moves under the reader
+  useEffect(() => {
+    if (!client || (USER_CATEGORIES.includes(category) && !user)) return;
+
+    const [method, params] = getFeedRequest(category, tag, user);
+    return subscribeBridge(client, method, params, (result) => {
+      const listed = postsRef.current;
+      // The first page itself is shown by fetchPosts
+      if (listed.length === 0 || result.length === 0) return;
 
-  // Initial load
+      if (listed === SAMPLE_POSTS) {
+        showPosts(result);
+        setLastPost(result[result.length - 1]);
+        setHasMore(result.length === FEED_LIMIT);
+        setUsingSampleData(false);
+        setError('');
+        return;
+      }
+
+      const refreshed = new Map(result.map(post => [postKey(post), post]));
+      showPosts(listed.map(post => refreshed.get(postKey(post)) || post));
+
+      const listedKeys = new Set(listed.map(postKey));
+      let unlisted = result.filter(post => !listedKeys.has(postKey(post)));
+      if (!NEWEST_FIRST_CATEGORIES.includes(category)) {
+        // Only posts written since the newest listed one
+        const newest = listed.reduce((latest, post) => (post.created > latest ? post.created : latest), '');
+        unlisted = unlisted.filter(post => post.created > newest);
+      }
+      setNewPosts(unlisted);
+    });
+  }, [client, category, tag, user, showPosts]);
+
+  // Refetch the first page now and then while the tab is visible; the
+  // subscription above picks up what changed
   useEffect(() => {
-    fetchPosts(true);
-  }, [fetchPosts, category]);
+    if (!client || usingSampleData || (USER_CATEGORIES.includes(category) && !user)) return;
+
+    const [method, params] = getFeedRequest(category, tag, user);
+    const timer = setInterval(() => {
+      if (document.hidden) return;
+      fetchBridge(client, method, params, { force: true })
+        .catch(err => console.error('Error checking for new posts:', err));
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [client, category, tag, user, usingSampleData]);
+
+  // Put the new posts at the top of the list. A reader further down the
+  // page stays on the post they were reading.
+  const showNewPosts = () => {
+    if (window.scrollY > 0) {
+      scrollAnchorRef.current = {
+        top: window.scrollY,
+        height: document.documentElement.scrollHeight
+      };
+    }
+    showPosts(appendPage(newPosts, postsRef.current));
+    setNewPosts([]);
+  };
+
+  // Shift the scroll position by the height the merged posts added
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    if (!anchor) return;
+    scrollAnchorRef.current = null;
+    window.scrollTo(0, anchor.top + document.documentElement.scrollHeight - anchor.height);
+  }, [posts]);
 
   // Handle category change
   const handleCategoryChange = (newCategory) => {
     if (newCategory === category) return;
+    // Tag feeds keep the sort in the URL
+    if (tag) {
+      navigate(`/${newCategory}/${tag}`);
+      return;
+    }
     setCategory(newCategory);
-    setHasMore(true);
     // fetchPosts will be called by the useEffect
   };
 
+  const feedTitle = tag
+    ? `${getCategoryLabel(category)} in ${isCommunityName(tag) ? tag : `#${tag}`}`
+    : `${getCategoryLabel(category)} Posts`;
+
   // Render loading skeletons
   const renderSkeletons = () => (
     <>
@@ -139,32 +381,46 @@ const Home = () => {
     <div className="space-y-6">
       {/* Category selector */}
       <div className="flex flex-wrap gap-2 mb-6">
-        {CATEGORIES.map((cat) => (
+        {CATEGORIES.filter(cat => !USER_CATEGORIES.includes(cat.id) || (user && !tag)).map((cat) => (
           <button
-            key={cat}
-            onClick={() => handleCategoryChange(cat)}
-            className={`px-4 py-2 rounded-full text-sm font-medium capitalize ${
-              category === cat
+            key={cat.id}
+            onClick={() => handleCategoryChange(cat.id)}
+            className={`px-4 py-2 rounded-full text-sm font-medium ${
+              category === cat.id
                 ? 'bg-blue-600 text-white'
                 : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
             }`}
             disabled={usingSampleData}
           >
-            {cat}
+            {cat.label}
           </button>
         ))}
       </div>
 
-      <h1 className="text-3xl font-bold mb-8 capitalize">
-        {usingSampleData ? 'Sample Posts' : `${category} Posts`}
+      {isCommunityName(tag) && <CommunityHeader name={tag} />}
+
+      <h1 className="text-3xl font-bold mb-8">
+        {usingSampleData ? 'Sample Posts' : feedTitle}
       </h1>
 
+      {/* New posts banner */}
+      {newPosts.length > 0 && (
+        <div className="sticky top-4 z-10 flex justify-center">
+          <button
+            onClick={showNewPosts}
+            className="bg-blue-600 text-white px-4 py-2 rounded-full shadow-md text-sm font-medium hover:bg-blue-700"
+          >
+            {newPosts.length === 1 ? '1 new post' : `${newPosts.length} new posts`}
+          </button>
+        </div>
+      )}
+
       {/* Error message */}
       {error && (
         <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-6">
           {error}
           <button 
-            onClick={() => fetchPosts(true)} 
+            onClick={() => fetchPosts(posts.length > 0 && !usingSampleData ? lastPost : null)} 
             className="ml-4 bg-yellow-500 text-white px-4 py-2 rounded hover:bg-yellow-600"
           >
             Retry
@@ -175,22 +431,36 @@ const Home = () => {
       {/* Posts list */}
       <div className="space-y-6">
         {posts.length > 0 ? (
-          posts.map((post, index) => (
-            <Post 
-              key={`${post.author}-${post.permlink}-${index}`}
-              post={post}
-              priority={index < 2}
-            />
-          ))
+          <div ref={containerRef} style={containerStyle}>
+            {virtualItems.map(({ item: post, index, key }) => (
+              <div key={key} ref={measureRef(key)} className={index > 0 ? 'pt-6' : ''}>
+                <Post 
+                  post={post}
+                  priority={index < 2}
+                />
+              </div>
+            ))}
+          </div>
         ) : !loading ? (
           <div className="text-center text-gray-600 py-12">
-            No posts available in this category
+            {category === 'feed'
+              ? 'Posts and reblogs from the people you follow will show up here'
+              : 'No posts available in this category'}
           </div>
         ) : null}
 
         {/* Loading indicators */}
         {loading && renderSkeletons()}
 
+        {/* Reaching this loads the next page */}
+        {!usingSampleData && <div ref={lastElementRef} aria-hidden="true" />}
+
+        {!hasMore && !loading && !usingSampleData && posts.length > 0 && (
+          <div className="text-center text-gray-500 py-6">
+            You've reached the end of this feed
+          </div>
+        )}
+
         {/* Sample data notice */}
         {usingSampleData && (
           <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-700 p-4 mt-6">
@@ -203,4 +473,15 @@ const Home = () => {
   );
 };
 
-export default Home; 
\ No newline at end of file
+/**
+ * Each history entry gets its own Home, so going back to an entry shows
+ * the feed and scroll position saved for it, also when only the tag in
+ * the URL changed (e.g. /trending/a to /trending/b) and React would
+ * otherwise keep the same instance
+ */
+const HomeRoute = (props) => {
+  const location = useLocation();
+  return <Home key={location.key} {...props} />;
+};
+
+export default HomeRoute; 
\ No newline at end of file
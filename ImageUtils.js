@@ -10,6 +10,25 @@ const FALLBACK_AVATAR = 'https://i.imgur.com/HeIi0wU.png';
 const FALLBACK_POST_IMAGE = 'https://i.imgur.com/KLa9yCl.jpg';
 const FALLBACK_LOGO = 'https://i.imgur.com/Px3GXPI.png';
 
+// Hive image proxy that resizes and caches images for us. Set
+// REACT_APP_IMAGE_PROXY to use another one, or to an empty string to load
+// images straight from their source.
+const IMAGE_PROXY = (process.env.REACT_APP_IMAGE_PROXY ?? 'https://images.hive.blog').replace(/\/+$/, '');
+
+// Widths offered to the browser in srcset
+const IMAGE_WIDTHS = [320, 640, 1280];
+
+// URLs already resized by a Hive image proxy, e.g.
+// https://images.hive.blog/0x0/https://example.com/image.jpg
+const PROXIED_URL_REGEXP = /^https?:\/\/(?:images\.hive\.blog|images\.ecency\.com|steemitimages\.com)\/\d+x\d+\/(https?:\/\/.+)$/i;
+const WEB_URL_REGEXP = /^https?:\/\//i;
+
+// Remote images the proxy can resize; avatars come from it in their own
+// sizes already
+const canProxy = (url) => (
+  Boolean(IMAGE_PROXY && url && WEB_URL_REGEXP.test(url)) && !url.startsWith(`${IMAGE_PROXY}/u/`)
+);
+
 /**
  * Component for rendering an avatar with fallback
  */
@@ -61,6 +80,52 @@ export const ImageWithFallback = ({
   );
 };
 
+/**
+ * Component for rendering a remote image through the image proxy, with a
+ * srcset so the browser picks the size it needs. If the proxy fails the
+ * original URL is loaded, then `fallbackSrc` if given.
+ */
+export const ProxiedImage = ({
+  src,
+  alt,
+  width = 640,
+  sizes = '100vw',
+  fallbackSrc,
+  onError,
+  className = '',
+  ...props
+}) => {
+  const [failure, setFailure] = React.useState({ src, count: 0 });
+  const failures = failure.src === src ? failure.count : 0;
+
+  const sources = [
+    canProxy(src) && { src: getProxiedImageUrl(src, width), srcSet: getImageSrcSet(src), sizes },
+    { src },
+    fallbackSrc && { src: fallbackSrc }
+  ].filter(Boolean);
+  const current = sources[Math.min(failures, sources.length - 1)];
+
+  const handleError = (e) => {
+    if (failures < sources.length - 1) {
+      setFailure({ src, count: failures + 1 });
+    } else if (onError) {
+      onError(e);
+    }
+  };
+
+  return (
+    <img
+      src={current.src}
+      srcSet={current.srcSet}
+      sizes={current.srcSet ? current.sizes : undefined}
+      alt={alt}
+      onError={handleError}
+      className={className}
+      {...props}
+    />
+  );
+};
+
 /**
  * Component for rendering the app logo
  */
@@ -83,20 +148,45 @@ export const Logo = ({ size = 'md', className = '' }) => {
 };
 
 /**
- * Get profile image URL for a Hive user
+ * URL of an image resized by the image proxy to `width` x `height` (0
+ * keeps the aspect ratio). Local, data and unknown URLs are returned as
+ * they are.
+ */
+export const getProxiedImageUrl = (url, width = 0, height = 0) => {
+  if (!canProxy(url)) return url;
+
+  // Resize the original rather than a proxied copy
+  const match = url.match(PROXIED_URL_REGEXP);
+  const original = match ? match[1] : url;
+  return `${IMAGE_PROXY}/${width}x${height}/${original}`;
+};
+
+/**
+ * srcset attribute offering an image at each of `widths` through the
+ * image proxy, or undefined when it cannot be proxied
+ */
+export const getImageSrcSet = (url, widths = IMAGE_WIDTHS) => {
+  if (!canProxy(url)) return undefined;
+  return widths.map(width => `${getProxiedImageUrl(url, width)} ${width}w`).join(', ');
+};
+
+/**
+ * Get profile image URL for a Hive user. The proxy serves the avatar set
+ * in the account's profile in a small (64px), medium (128px) or large
+ * (512px) size.
  */
-export const getProfileImageUrl = (username) => {
-  if (!username) return DEFAULT_AVATAR;
+export const getProfileImageUrl = (username, size = 'medium') => {
+  if (!username || !IMAGE_PROXY) return DEFAULT_AVATAR;
   
-  // Try to get profile image from Hive
-  return `https://images.hive.blog/u/${username}/avatar`;
+  return `${IMAGE_PROXY}/u/${username}/avatar/${size}`;
 };
 
 /**
- * Get a post image URL from post content or metadata
+ * Get the original URL of a post's image from its metadata or content,
+ * or null if it has none
  */
-export const getPostImageUrl = (post) => {
-  if (!post) return DEFAULT_POST_IMAGE;
+export const getPostImage = (post) => {
+  if (!post) return null;
   
   try {
     // Try to extract image from post metadata
@@ -120,18 +210,32 @@ export const getPostImageUrl = (post) => {
     }
     
     // No image found
-    return DEFAULT_POST_IMAGE;
+    return null;
   } catch (e) {
-    return DEFAULT_POST_IMAGE;
+    return null;
   }
 };
 
+/**
+ * Get a post image URL from post content or metadata, resized by the
+ * image proxy to `width`
+ */
+export const getPostImageUrl = (post, width = 640) => {
+  const image = getPostImage(post);
+  return image ? getProxiedImageUrl(image, width) : DEFAULT_POST_IMAGE;
+};
+
 export default {
   Avatar,
   ImageWithFallback,
+  ProxiedImage,
   Logo,
+  getProxiedImageUrl,
+  getImageSrcSet,
   getProfileImageUrl,
+  getPostImage,
   getPostImageUrl,
+  IMAGE_PROXY,
   DEFAULT_AVATAR,
   DEFAULT_POST_IMAGE,
   LOGO_IMAGE,
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+
+/**
+ * Modal asking for a private key (or the vault passphrase when the key is
+ * already stored in the encrypted vault) before a transaction is signed
+ */
+const KeyRequestModal = ({ request, onSubmit, onCancel }) => {
+  const { username, authority, hasStoredKey, vaultInitialized, vaultUnlocked } = request;
+  const [useStoredKey, setUseStoredKey] = useState(hasStoredKey && !vaultUnlocked);
+  const [privateKey, setPrivateKey] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [remember, setRemember] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const needsPassphrase = useStoredKey || (remember && !vaultUnlocked);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      await onSubmit({
+        privateKey: useStoredKey ? null : privateKey,
+        passphrase: needsPassphrase ? passphrase : null,
+        remember: !useStoredKey && remember
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to use this key');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+        <h2 className="text-xl font-semibold mb-2 text-gray-800">
+          {useStoredKey ? 'Unlock your key vault' : `Enter your ${authority} key`}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {useStoredKey
+            ? `Your ${authority} key for @${username} is stored encrypted on this device.`
+            : `A private ${authority} key for @${username} is needed to sign this transaction.`}
+        </p>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          {!useStoredKey && (
+            <div className="mb-4">
+              <label className="block text-gray-700 text-sm font-bold mb-2">
+                Private {authority} key
+              </label>
+              <input
+                type="password"
+                value={privateKey}
+                onChange={(e) => setPrivateKey(e.target.value)}
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                placeholder="5..."
+                autoComplete="off"
+                autoFocus
+              />
+              <label className="inline-flex items-center mt-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={remember}
+                  onChange={(e) => setRemember(e.target.checked)}
+                  className="mr-2"
+                />
+                Remember in the encrypted key vault on this device
+              </label>
+            </div>
+          )}
+
+          {needsPassphrase && (
+            <div className="mb-4">
+              <label className="block text-gray-700 text-sm font-bold mb-2">
+                {vaultInitialized ? 'Vault passphrase' : 'Choose a vault passphrase'}
+              </label>
+              <input
+                type="password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                autoComplete={vaultInitialized ? 'current-password' : 'new-password'}
+                autoFocus={useStoredKey}
+              />
+            </div>
+          )}
+
+          {hasStoredKey && !vaultUnlocked && (
+            <button
+              type="button"
+              onClick={() => setUseStoredKey(!useStoredKey)}
+              className="text-sm text-blue-500 hover:underline mb-4"
+            >
+              {useStoredKey ? 'Enter the key manually instead' : 'Use the key stored in my vault'}
+            </button>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={submitting}
+              className="px-4 py-2 text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || (!useStoredKey && !privateKey) || (needsPassphrase && !passphrase)}
+              className="px-4 py-2 text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {submitting ? 'Checking...' : useStoredKey ? 'Unlock and sign' : 'Sign'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default KeyRequestModal;
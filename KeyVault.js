@@ -0,0 +1,295 @@
+/**
+ * Encrypted local key vault.
+ *
+ * Private keys are encrypted with AES-GCM using a key derived from the
+ * user's passphrase (PBKDF2/SHA-256) and stored in IndexedDB. The derived
+ * key only lives in memory while the vault is unlocked, and the vault locks
+ * itself again after a period of inactivity.
+ */
+
+const DB_NAME = 'hivesocial-vault';
+const DB_VERSION = 1;
+const STORE_NAME = 'keys';
+const META_ID = '__meta__';
+const CHECK_VALUE = 'hivesocial-vault-check';
+const PBKDF2_ITERATIONS = 310000;
+
+// Default inactivity period before the vault locks itself
+export const DEFAULT_AUTO_LOCK_MS = 5 * 60 * 1000;
+
+// In-memory vault state
+let cryptoKey = null;
+let autoLockMs = DEFAULT_AUTO_LOCK_MS;
+let autoLockTimer = null;
+let lastTouch = 0;
+const listeners = new Set();
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and create if needed) the vault database
+ */
+const openDb = () => {
+  if (!window.indexedDB) {
+    return Promise.reject(new Error('This browser does not support IndexedDB'));
+  }
+
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  };
+  return promisify(request);
+};
+
+/**
+ * Run a single operation against the key store
+ */
+const withStore = async (mode, callback) => {
+  const db = await openDb();
+  try {
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return await promisify(callback(store));
+  } finally {
+    db.close();
+  }
+};
+
+const entryId = (username, authority) => `${username}:${authority}`;
+
+/**
+ * Derive the AES-GCM key from a passphrase and salt
+ */
+const deriveKey = async (passphrase, salt) => {
+  const material = await window.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return window.crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encrypt = async (key, plaintext) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    encoder.encode(plaintext)
+  );
+  return { iv, ciphertext: new Uint8Array(ciphertext) };
+};
+
+const decrypt = async (key, { iv, ciphertext }) => {
+  const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+  return decoder.decode(plaintext);
+};
+
+const notify = () => {
+  const unlocked = cryptoKey !== null;
+  listeners.forEach(listener => listener(unlocked));
+};
+
+const scheduleAutoLock = () => {
+  clearTimeout(autoLockTimer);
+  if (cryptoKey && autoLockMs > 0) {
+    autoLockTimer = setTimeout(lockVault, autoLockMs);
+  }
+};
+
+/**
+ * Subscribe to lock/unlock changes. Returns an unsubscribe function.
+ */
+export const subscribeVault = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Whether the vault is currently unlocked in this tab
+ */
+export const isVaultUnlocked = () => cryptoKey !== null;
+
+/**
+ * Whether a passphrase has already been set up
+ */
+export const isVaultInitialized = async () => {
+  try {
+    return Boolean(await withStore('readonly', store => store.get(META_ID)));
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Whether a key is stored for an account (works while locked)
+ */
+export const hasVaultKey = async (username, authority) => {
+  try {
+    return Boolean(await withStore('readonly', store => store.get(entryId(username, authority))));
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Unlock the vault. The first unlock sets the passphrase.
+ */
+export const unlockVault = async (passphrase) => {
+  if (!passphrase) {
+    return { success: false, error: 'Please enter your vault passphrase' };
+  }
+
+  try {
+    const meta = await withStore('readonly', store => store.get(META_ID));
+
+    if (!meta) {
+      const salt = window.crypto.getRandomValues(new Uint8Array(16));
+      const key = await deriveKey(passphrase, salt);
+      const check = await encrypt(key, CHECK_VALUE);
+      await withStore('readwrite', store => store.put({ id: META_ID, salt, ...check, createdAt: Date.now() }));
+      cryptoKey = key;
+    } else {
+      const key = await deriveKey(passphrase, meta.salt);
+      try {
+        if (await decrypt(key, meta) !== CHECK_VALUE) {
+          throw new Error('Check value mismatch');
+        }
+      } catch (err) {
+        return { success: false, error: 'Incorrect vault passphrase' };
+      }
+      cryptoKey = key;
+    }
+
+    scheduleAutoLock();
+    notify();
+    return { success: true };
+  } catch (err) {
+    console.error('Error unlocking key vault:', err);
+    return { success: false, error: err.message || 'Failed to unlock the key vault' };
+  }
+};
+
+/**
+ * Lock the vault and forget the derived key
+ */
+export const lockVault = () => {
+  clearTimeout(autoLockTimer);
+  if (cryptoKey) {
+    cryptoKey = null;
+    notify();
+  }
+};
+
+/**
+ * Record user activity to postpone the auto-lock
+ */
+export const touchVault = () => {
+  const now = Date.now();
+  // Resetting the timer on every mouse move would be wasteful
+  if (cryptoKey && now - lastTouch > 1000) {
+    lastTouch = now;
+    scheduleAutoLock();
+  }
+};
+
+/**
+ * Change the inactivity period (0 disables auto-lock)
+ */
+export const setAutoLockTimeout = (ms) => {
+  autoLockMs = ms;
+  scheduleAutoLock();
+};
+
+/**
+ * Encrypt and store a private key for an account
+ */
+export const storeVaultKey = async (username, authority, wif) => {
+  if (!cryptoKey) {
+    return { success: false, error: 'The key vault is locked' };
+  }
+
+  try {
+    const encrypted = await encrypt(cryptoKey, wif);
+    await withStore('readwrite', store => store.put({
+      id: entryId(username, authority),
+      username,
+      authority,
+      ...encrypted,
+      createdAt: Date.now()
+    }));
+    touchVault();
+    return { success: true };
+  } catch (err) {
+    console.error('Error storing key in vault:', err);
+    return { success: false, error: err.message || 'Failed to store key' };
+  }
+};
+
+/**
+ * Decrypt a stored private key (WIF) for an account
+ */
+export const getVaultKey = async (username, authority) => {
+  if (!cryptoKey) {
+    return { success: false, error: 'The key vault is locked' };
+  }
+
+  try {
+    const entry = await withStore('readonly', store => store.get(entryId(username, authority)));
+    if (!entry) {
+      return { success: false, error: `No ${authority} key stored for @${username}` };
+    }
+    const wif = await decrypt(cryptoKey, entry);
+    touchVault();
+    return { success: true, wif };
+  } catch (err) {
+    console.error('Error reading key from vault:', err);
+    return { success: false, error: 'Failed to decrypt the stored key' };
+  }
+};
+
+/**
+ * Delete every key stored for an account
+ */
+export const removeVaultKeys = async (username) => {
+  try {
+    await Promise.all(['posting', 'active'].map(authority => (
+      withStore('readwrite', store => store.delete(entryId(username, authority)))
+    )));
+    return { success: true };
+  } catch (err) {
+    console.error('Error removing keys from vault:', err);
+    return { success: false, error: err.message || 'Failed to remove keys' };
+  }
+};
+
+export default {
+  DEFAULT_AUTO_LOCK_MS,
+  subscribeVault,
+  isVaultUnlocked,
+  isVaultInitialized,
+  hasVaultKey,
+  unlockVault,
+  lockVault,
+  touchVault,
+  setAutoLockTimeout,
+  storeVaultKey,
+  getVaultKey,
+  removeVaultKeys
+};
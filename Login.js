@@ -1,29 +1,81 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useRef, useContext } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { HiveContext } from '../App';
+import {
+  verifyPostingKey,
+  normalizeUsername,
+  createLoginChallenge,
+  verifyLoginSignature
+} from '../utils/AuthUtils';
+import { unlockVault, storeVaultKey } from '../utils/KeyVault';
+import { startOAuthLogin } from '../utils/OAuthUtils';
+import { requestHiveAuthLogin, saveHiveAuthSession } from '../utils/HiveAuthUtils';
+import { setPendingRemember } from '../utils/SessionUtils';
+import HiveAuthPrompt from './HiveAuthPrompt';
 
-function Login({ setUser, isKeychain }) {
+function Login({ isKeychain }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [rememberKey, setRememberKey] = useState(false);
+  // Keep the login after the browser is closed
+  const [rememberMe, setRememberMe] = useState(true);
+  const [vaultPassphrase, setVaultPassphrase] = useState('');
   const [error, setError] = useState('');
-  const [isEcencyLogin, setIsEcencyLogin] = useState(false);
+  const [isRedirecting, setIsRedirecting] = useState(false);
+  // Pending HiveAuth request ({ link, expire }) shown as a QR code
+  const [hiveAuthRequest, setHiveAuthRequest] = useState(null);
+  // Bumped on cancel so a late wallet answer is ignored
+  const hiveAuthAttempt = useRef(0);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const { client, user, login } = useContext(HiveContext);
   const navigate = useNavigate();
   const location = useLocation();
   
   // Get the redirect path from location state or default to home
   const from = location.state?.from || '/';
 
-  // Handle direct login with username/password
-  const handleDirectLogin = (e) => {
+  // Handle direct login with a posting key or master password
+  const handleDirectLogin = async (e) => {
     e.preventDefault();
     if (!username) {
       setError('Please enter a username');
       return;
     }
-    
-    // For demonstration purposes, we'll just log the user in
-    // In a real app, you would validate credentials with Hive
-    localStorage.setItem('hivesocial_user', username);
-    setUser(username);
+
+    if (!password) {
+      setError('Please enter your private posting key or password');
+      return;
+    }
+
+    setIsVerifying(true);
+    setError('');
+
+    // Check the key against the account's posting authority on chain
+    const result = await verifyPostingKey(client, username, password);
+
+    setIsVerifying(false);
+    setPassword('');
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    // Optionally keep the key encrypted in the local vault
+    if (rememberKey) {
+      const unlocked = await unlockVault(vaultPassphrase);
+      const stored = unlocked.success
+        ? await storeVaultKey(result.username, 'posting', result.privateKey.toString())
+        : unlocked;
+      setVaultPassphrase('');
+      if (!stored.success) {
+        setError(`Could not save your key: ${stored.error}`);
+        return;
+      }
+    }
+
+    // Keep the verified key in memory so posts and votes can be signed
+    login(result.username, 'key', result.privateKey, rememberMe);
     navigate(from);
   };
 
@@ -40,53 +92,120 @@ function Login({ setUser, isKeychain }) {
     }
 
     try {
-      const memo = `Login attempt for HiveSocial at ${new Date().toISOString()}`;
+      // Sign a one-time challenge and check the signature against the chain
+      const challenge = createLoginChallenge(username);
+      setIsVerifying(true);
+      setError('');
       
       window.hive_keychain.requestSignBuffer(
-        username,
-        memo,
+        challenge.username,
+        challenge.message,
         'Posting',
-        (response) => {
-          if (response.success) {
+        async (response) => {
+          if (!response.success) {
+            setIsVerifying(false);
+            setError('Login failed: ' + response.message);
+            return;
+          }
+
+          const result = await verifyLoginSignature(
+            client,
+            challenge,
+            response.result,
+            response.publicKey
+          );
+          setIsVerifying(false);
+
+          if (result.success) {
             // Save user to localStorage for persistence
-            localStorage.setItem('hivesocial_user', username);
-            setUser(username);
+            login(result.username, 'keychain', null, rememberMe);
             
             // Redirect to the page they were trying to access or home
             navigate(from);
           } else {
-            setError('Login failed: ' + response.message);
+            setError('Login failed: ' + result.error);
           }
         }
       );
     } catch (err) {
+      setIsVerifying(false);
       setError('Failed to connect to Hive Keychain: ' + err.message);
       console.error('Keychain error:', err);
     }
   };
 
-  const handleEcencyLogin = () => {
-    setIsEcencyLogin(true);
+  // Log in with a HiveAuth wallet app: show the QR code, wait for approval
+  // over the websocket and verify the signed challenge like Keychain logins
+  const handleHiveAuthLogin = async () => {
+    if (!username) {
+      setError('Please enter a username');
+      return;
+    }
+
+    const attempt = ++hiveAuthAttempt.current;
+    const challenge = createLoginChallenge(username);
+    setIsVerifying(true);
     setError('');
+
+    const result = await requestHiveAuthLogin(challenge.username, {
+      challenge,
+      onWait: (request) => {
+        if (attempt === hiveAuthAttempt.current) setHiveAuthRequest(request);
+      }
+    });
+    if (attempt !== hiveAuthAttempt.current) return;
+    setHiveAuthRequest(null);
+
+    if (!result.success) {
+      setIsVerifying(false);
+      setError('HiveAuth login failed: ' + result.error);
+      return;
+    }
+
+    const verified = await verifyLoginSignature(client, challenge, result.signature, result.publicKey);
+    setIsVerifying(false);
+
+    if (!verified.success) {
+      setError('Login failed: ' + verified.error);
+      return;
+    }
+
+    saveHiveAuthSession(verified.username, result.session);
+    login(verified.username, 'hiveauth', null, rememberMe);
+    navigate(from);
   };
 
-  // Redirect to Ecency when isEcencyLogin is true
-  useEffect(() => {
-    if (isEcencyLogin) {
-      // Save the redirect path for after authentication
-      localStorage.setItem('hivesocial_redirect', from);
-      
-      // Construct the callback URL
-      const callbackUrl = `${window.location.origin}/ecency-callback`;
-      
-      // Redirect to Ecency auth page
-      window.location.href = `https://ecency.com/hive-auth?redirect_url=${encodeURIComponent(callbackUrl)}`;
+  const handleHiveAuthCancel = () => {
+    hiveAuthAttempt.current += 1;
+    setHiveAuthRequest(null);
+    setIsVerifying(false);
+  };
+
+  // Hand over to HiveSigner; the login finishes on the OAuth callback route
+  const handleHiveSignerLogin = async () => {
+    setIsRedirecting(true);
+    setError('');
+
+    try {
+      setPendingRemember(rememberMe);
+      await startOAuthLogin(from);
+    } catch (err) {
+      setIsRedirecting(false);
+      setError('Failed to start HiveSigner login: ' + err.message);
+      console.error('HiveSigner error:', err);
     }
-  }, [isEcencyLogin, from]);
+  };
 
   return (
     <div className="max-w-md mx-auto mt-10 p-6 bg-white rounded-lg shadow-lg">
-      <h2 className="text-2xl font-bold mb-6 text-center">Login to HiveSocial</h2>
+      <h2 className="text-2xl font-bold mb-6 text-center">
+        {user ? 'Add another account' : 'Login to HiveSocial'}
+      </h2>
+      {user && (
+        <p className="text-sm text-gray-600 text-center mb-4">
+          You'll stay signed in as @{user} and can switch accounts from the menu.
+        </p>
+      )}
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
           {error}
@@ -101,7 +220,7 @@ function Login({ setUser, isKeychain }) {
           <input
             type="text"
             value={username}
-            onChange={(e) => setUsername(e.target.value)}
+            onChange={(e) => setUsername(normalizeUsername(e.target.value))}
             className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
             placeholder="Enter your Hive username"
           />
@@ -110,37 +229,73 @@ function Login({ setUser, isKeychain }) {
         {!isKeychain && (
           <div className="mb-6">
             <label className="block text-gray-700 text-sm font-bold mb-2">
-              Password
+              Posting Key or Password
             </label>
             <input
               type="password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              placeholder="Enter your password"
+              placeholder="Enter your private posting key"
+              autoComplete="off"
             />
             <p className="text-xs text-gray-500 mt-1">
-              Your password is never stored or transmitted to our servers
+              Your key is only checked against the blockchain and is never transmitted to our servers
             </p>
+            <label className="inline-flex items-center mt-3 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={rememberKey}
+                onChange={(e) => setRememberKey(e.target.checked)}
+                className="mr-2"
+              />
+              Remember my key in the encrypted vault on this device
+            </label>
+            {rememberKey && (
+              <input
+                type="password"
+                value={vaultPassphrase}
+                onChange={(e) => setVaultPassphrase(e.target.value)}
+                className="shadow appearance-none border rounded w-full py-2 px-3 mt-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                placeholder="Vault passphrase"
+                autoComplete="new-password"
+              />
+            )}
           </div>
         )}
         
+        <label className="flex items-center mb-4 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={rememberMe}
+            onChange={(e) => setRememberMe(e.target.checked)}
+            className="mr-2"
+          />
+          Keep me signed in on this device
+        </label>
+
         <div className="flex flex-col space-y-3">
           {isKeychain ? (
             <button
               type="button"
               onClick={handleKeychainLogin}
-              className="w-full bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-150 ease-in-out"
+              disabled={isVerifying}
+              className={`w-full bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-150 ease-in-out ${
+                isVerifying ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
             >
-              Login with Hive Keychain
+              {isVerifying ? 'Verifying signature...' : 'Login with Hive Keychain'}
             </button>
           ) : (
             <>
               <button
                 type="submit"
-                className="w-full bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-150 ease-in-out"
+                disabled={isVerifying}
+                className={`w-full bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-150 ease-in-out ${
+                  isVerifying ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
               >
-                Login with Username/Password
+                {isVerifying ? 'Verifying key...' : 'Login with Posting Key'}
               </button>
               
               <div className="relative flex items-center py-2">
@@ -151,20 +306,42 @@ function Login({ setUser, isKeychain }) {
               
               <button
                 type="button"
-                onClick={handleEcencyLogin}
+                onClick={handleHiveSignerLogin}
+                disabled={isRedirecting}
                 className="w-full bg-[#3F72AF] hover:bg-[#2C5282] text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-150 ease-in-out flex items-center justify-center"
               >
                 <img 
-                  src="https://ecency.com/favicon.ico" 
-                  alt="Ecency" 
+                  src="https://hivesigner.com/favicon.ico" 
+                  alt="HiveSigner" 
                   className="w-5 h-5 mr-2"
                 />
-                Login with Ecency
+                {isRedirecting ? 'Redirecting to HiveSigner...' : 'Login with HiveSigner'}
               </button>
             </>
           )}
+
+          <button
+            type="button"
+            onClick={handleHiveAuthLogin}
+            disabled={isVerifying}
+            className={`w-full bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-150 ease-in-out ${
+              isVerifying ? 'opacity-50 cursor-not-allowed' : ''
+            }`}
+          >
+            Login with HiveAuth (mobile wallet)
+          </button>
         </div>
       </form>
+
+      {hiveAuthRequest && (
+        <HiveAuthPrompt
+          title="Approve login in your wallet"
+          message={`Scan this code with a HiveAuth wallet (such as Hive Keychain mobile) to log in as @${username}.`}
+          link={hiveAuthRequest.link}
+          expire={hiveAuthRequest.expire}
+          onCancel={handleHiveAuthCancel}
+        />
+      )}
       
       <p className="mt-4 text-center text-gray-600 text-sm">
         {isKeychain
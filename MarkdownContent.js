@@ -0,0 +1,74 @@
+import React, { useMemo, useRef, useState, useEffect, useLayoutEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useNavigate } from 'react-router-dom';
+import { renderMarkdown } from '../utils/MarkdownUtils';
+import usePreferences from '../hooks/usePreferences';
+import Embed from './Embed';
+
+/**
+ * A rendered post or comment body. Links to pages of the app are
+ * followed without reloading the page, and embed placeholders become
+ * click-to-load players unless the reader turned embeds off. Images the
+ * image proxy fails to serve are loaded from their original URL.
+ */
+const MarkdownContent = ({ body, className = '' }) => {
+  const navigate = useNavigate();
+  const { showEmbeds } = usePreferences();
+  const html = useMemo(() => renderMarkdown(body, { embeds: showEmbeds }), [body, showEmbeds]);
+  const containerRef = useRef(null);
+  const [embedNodes, setEmbedNodes] = useState([]);
+
+  // The placeholders are recreated whenever the HTML changes
+  useLayoutEffect(() => {
+    setEmbedNodes([...containerRef.current.querySelectorAll('[data-embed-url]')]);
+  }, [html]);
+
+  // Image errors do not bubble, so listen while they are captured
+  useEffect(() => {
+    const container = containerRef.current;
+    const handleImageError = (e) => {
+      const image = e.target;
+      const original = image.tagName === 'IMG' && image.getAttribute('data-original-src');
+      if (!original) return;
+
+      image.removeAttribute('data-original-src');
+      image.removeAttribute('srcset');
+      image.removeAttribute('sizes');
+      image.setAttribute('src', original);
+    };
+
+    container.addEventListener('error', handleImageError, true);
+    return () => container.removeEventListener('error', handleImageError, true);
+  }, []);
+
+  const handleClick = (e) => {
+    const link = e.target.closest('a');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+
+    const href = link.getAttribute('href') || '';
+    if (href.startsWith('/') && !href.startsWith('//')) {
+      e.preventDefault();
+      navigate(href);
+    }
+  };
+
+  return (
+    <>
+      <div
+        ref={containerRef}
+        className={`markdown-body ${className}`}
+        onClick={handleClick}
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+      {embedNodes.map((node, index) => createPortal(
+        <Embed url={node.getAttribute('data-embed-url')} />,
+        node,
+        `${index}:${node.getAttribute('data-embed-url')}`
+      ))}
+    </>
+  );
+};
+
+export default MarkdownContent;
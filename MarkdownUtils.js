@@ -0,0 +1,338 @@
+import MarkdownIt from 'markdown-it';
+import DOMPurify from 'dompurify';
+import { getEmbed } from './EmbedUtils';
+import { getProxiedImageUrl, getImageSrcSet } from './ImageUtils';
+
+/**
+ * Rendering of Hive post and comment bodies.
+ *
+ * Bodies are CommonMark mixed with the HTML that Hive frontends accept
+ * (centered blocks, tables, sub/sup, sized images, details...). Line
+ * breaks are kept like on other Hive frontends, bare URLs become links
+ * and an image URL on a line of its own becomes an image. The HTML is
+ * then sanitized against an allowlist of tags, attributes, classes and
+ * URL schemes; everything else (scripts, iframes, event handlers, inline
+ * styles, javascript: URLs) is dropped.
+ *
+ * Finally the Hive conventions are applied: @user mentions link to the
+ * profile, #hashtags to the tag's feed, and links to posts and profiles
+ * on other Hive frontends open in this app instead. A video, tweet or
+ * Spotify link on a line of its own becomes an embed placeholder
+ * (<div data-embed-url>) that MarkdownContent turns into a
+ * click-to-load player. Images are loaded through the image proxy in the
+ * size the screen needs; MarkdownContent falls back to the original URL
+ * (data-original-src) if the proxy fails.
+ */
+
+const ALLOWED_TAGS = [
+  'a', 'b', 'blockquote', 'br', 'center', 'code', 'del', 'details', 'div',
+  'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol',
+  'p', 'pre', 's', 'span', 'strike', 'strong', 'sub', 'summary', 'sup',
+  'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+];
+
+const ALLOWED_ATTR = [
+  'href', 'title', 'src', 'alt', 'width', 'height', 'align', 'colspan', 'rowspan', 'start', 'class'
+];
+
+// Layout classes Hive posts use, plus the language of code blocks
+const ALLOWED_CLASSES = ['pull-left', 'pull-right', 'text-justify', 'text-rtl', 'text-center'];
+const isAllowedClass = (name) => ALLOWED_CLASSES.includes(name) || /^language-[\w-]+$/.test(name);
+
+// Links may go to the web, mail or pages of the app; images only to the
+// web. DOMPurify has already dropped javascript: and other unsafe URLs.
+const LINK_URL_REGEXP = /^(?:https?:|mailto:|\/(?!\/)|#)/i;
+const WEB_URL_REGEXP = /^https?:\/\//i;
+
+// Body images are at most as wide as the post column
+const BODY_IMAGE_WIDTH = 848;
+const BODY_IMAGE_SIZES = `(max-width: 896px) 100vw, ${BODY_IMAGE_WIDTH}px`;
+
+// URL of an image file
+const IMAGE_URL_REGEXP = /^https?:\/\/[^\s<>"']+\.(?:jpe?g|png|gif|webp)(?:\?[^\s<>"']*)?$/i;
+
+const isLineBreak = (token) => !token || token.type === 'softbreak' || token.type === 'hardbreak';
+
+/**
+ * markdown-it rule turning an image URL alone on a line into an image.
+ * It works on the parsed tokens, so URLs in code are left alone.
+ */
+const bareImages = (state) => {
+  state.tokens.forEach(blockToken => {
+    if (blockToken.type !== 'inline') return;
+    const children = blockToken.children;
+
+    for (let index = children.length - 3; index >= 0; index--) {
+      const [open, text, close] = children.slice(index, index + 3);
+      if (open.type !== 'link_open' || open.markup !== 'linkify' || text.type !== 'text' || close.type !== 'link_close') continue;
+      if (!isLineBreak(children[index - 1]) || !isLineBreak(children[index + 3])) continue;
+
+      const src = open.attrGet('href');
+      if (!IMAGE_URL_REGEXP.test(src)) continue;
+
+      const image = new state.Token('image', 'img', 0);
+      image.attrs = [['src', src], ['alt', '']];
+      image.children = [];
+      image.content = '';
+      children.splice(index, 3, image);
+    }
+  });
+};
+
+const markdown = new MarkdownIt({
+  html: true,
+  linkify: true,
+  breaks: true
+});
+markdown.core.ruler.after('linkify', 'bare_images', bareImages);
+
+// Other frontends whose post and profile links we open ourselves
+const HIVE_FRONTENDS = ['peakd.com', 'hive.blog', 'ecency.com'];
+// Profile pages of those frontends, e.g. peakd.com/@alice/wallet
+const PROFILE_TABS = [
+  'activities', 'blog', 'comments', 'communities', 'feed', 'followers', 'following',
+  'notifications', 'payout', 'posts', 'replies', 'settings', 'wallet'
+];
+const FEED_SORTS = ['trending', 'hot', 'created', 'promoted'];
+
+// Hive account names: 3 to 16 characters in dot separated segments of
+// at least 3, each starting with a letter
+const ACCOUNT_SEGMENT_REGEXP = /^[a-z][a-z0-9-]*[a-z0-9]$/;
+const isAccountName = (name) => (
+  name.length >= 3 && name.length <= 16 &&
+  name.split('.').every(segment => segment.length >= 3 && ACCOUNT_SEGMENT_REGEXP.test(segment))
+);
+const TAG_REGEXP = /^[a-z][a-z0-9-]{0,23}$/;
+
+// @mention or #hashtag that does not follow a word, URL or entity
+const HIVE_TEXT_REGEXP = /(^|[^\w/@#&])([@#])([a-z][a-z0-9.-]*[a-z0-9]|[a-z])/gi;
+// Mentions and hashtags are not linked inside these
+const SKIP_TEXT_TAGS = ['A', 'CODE', 'PRE'];
+
+/**
+ * The app route for a link to a post, profile or tag feed on another
+ * Hive frontend, or null for any other link
+ */
+export const toAppPath = (href) => {
+  let url;
+  let segments;
+  try {
+    url = new URL(href);
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    return null;
+  }
+  if (!HIVE_FRONTENDS.includes(url.hostname.replace(/^www\./, ''))) return null;
+
+  const accountIndex = segments.findIndex(segment => segment.startsWith('@'));
+
+  // /trending/photography
+  if (accountIndex === -1) {
+    const [sort, tag] = segments;
+    return segments.length === 2 && FEED_SORTS.includes(sort) && TAG_REGEXP.test(tag) ? `/${sort}/${tag}` : null;
+  }
+
+  // /@alice, /@alice/wallet, /@alice/permlink or /category/@alice/permlink.
+  // After a category the second segment is always a permlink, even one
+  // named like a profile tab.
+  const author = segments[accountIndex].slice(1).toLowerCase();
+  const rest = segments.slice(accountIndex + 1);
+  if (accountIndex > 1 || !isAccountName(author) || rest.length > 1) return null;
+
+  if (rest.length === 0 || (accountIndex === 0 && PROFILE_TABS.includes(rest[0]))) {
+    return `/profile/${author}`;
+  }
+  return `/@${author}/${rest[0]}`;
+};
+
+/**
+ * Replace mentions and hashtags in the text under `root` with links
+ */
+const linkMentionsAndTags = (root) => {
+  const document = root.ownerDocument;
+  const walker = document.createTreeWalker(root, window.NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    let parent = node.parentNode;
+    while (parent && parent !== root && !SKIP_TEXT_TAGS.includes(parent.tagName)) {
+      parent = parent.parentNode;
+    }
+    if (parent === root) textNodes.push(node);
+  }
+
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    const parts = [];
+    let last = 0;
+
+    text.replace(HIVE_TEXT_REGEXP, (match, prefix, sigil, name, offset) => {
+      const value = name.toLowerCase();
+      const href = sigil === '@'
+        ? isAccountName(value) && `/profile/${value}`
+        : TAG_REGEXP.test(value) && `/trending/${value}`;
+      if (!href) return match;
+
+      const start = offset + prefix.length;
+      parts.push(document.createTextNode(text.slice(last, start)));
+      const link = document.createElement('a');
+      link.setAttribute('href', href);
+      link.textContent = `${sigil}${name}`;
+      parts.push(link);
+      last = start + sigil.length + name.length;
+      return match;
+    });
+
+    if (parts.length === 0) return;
+    parts.push(document.createTextNode(text.slice(last)));
+    node.replaceWith(...parts);
+  });
+};
+
+/**
+ * Replace players pasted as HTML with a link to what they play. Those on
+ * their own become a paragraph with the bare link, which markEmbeds turns
+ * into an embed placeholder. Other iframes are left to the sanitizer.
+ */
+const replaceIframes = (root) => {
+  const document = root.ownerDocument;
+  [...root.getElementsByTagName('iframe')].forEach(iframe => {
+    const embed = getEmbed(iframe.getAttribute('src') || '');
+    if (!embed) return;
+
+    const link = document.createElement('a');
+    link.setAttribute('href', embed.url);
+    link.textContent = embed.url;
+    if (iframe.parentNode !== root) {
+      iframe.replaceWith(link);
+      return;
+    }
+    const paragraph = document.createElement('p');
+    paragraph.appendChild(link);
+    iframe.replaceWith(paragraph);
+  });
+};
+
+/**
+ * Replace paragraphs holding nothing but an embeddable bare link with
+ * embed placeholders
+ */
+const markEmbeds = (root) => {
+  [...root.children].forEach(paragraph => {
+    if (paragraph.tagName !== 'P') return;
+    const links = paragraph.getElementsByTagName('a');
+    if (links.length !== 1 || paragraph.textContent.trim() !== links[0].textContent.trim()) return;
+
+    const href = links[0].getAttribute('href') || '';
+    const embed = links[0].textContent.trim() === href && getEmbed(href);
+    if (!embed) return;
+
+    const placeholder = root.ownerDocument.createElement('div');
+    placeholder.setAttribute('data-embed-url', embed.url);
+    paragraph.replaceWith(placeholder);
+  });
+};
+
+let purifier = null;
+
+/**
+ * DOMPurify instance with Hive's allowlist. Created on first use so the
+ * module can be imported where there is no DOM.
+ */
+const getPurifier = () => {
+  if (purifier) return purifier;
+
+  purifier = DOMPurify(window);
+
+  purifier.addHook('uponSanitizeAttribute', (node, data) => {
+    if (data.attrName !== 'class') return;
+    const classes = data.attrValue.split(/\s+/).filter(isAllowedClass);
+    data.attrValue = classes.join(' ');
+    data.keepAttr = classes.length > 0;
+  });
+
+  purifier.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'IMG') {
+      if (!WEB_URL_REGEXP.test(node.getAttribute('src') || '')) {
+        node.remove();
+        return;
+      }
+      node.setAttribute('loading', 'lazy');
+
+      const src = node.getAttribute('src');
+      const srcSet = getImageSrcSet(src);
+      if (srcSet) {
+        node.setAttribute('data-original-src', src);
+        node.setAttribute('src', getProxiedImageUrl(src, 640));
+        node.setAttribute('srcset', srcSet);
+        // Images sized by the author need no more than that width
+        const width = parseInt(node.getAttribute('width'), 10);
+        node.setAttribute('sizes', width > 0 && width < BODY_IMAGE_WIDTH ? `${width}px` : BODY_IMAGE_SIZES);
+      }
+    }
+
+    if (node.tagName === 'A' && node.hasAttribute('href')) {
+      const href = toAppPath(node.getAttribute('href')) || node.getAttribute('href');
+      node.setAttribute('href', href);
+      if (!LINK_URL_REGEXP.test(href)) {
+        node.removeAttribute('href');
+      } else if (WEB_URL_REGEXP.test(href)) {
+        // Links leaving the app open in a new tab and pass no referrer
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer nofollow');
+      }
+    }
+  });
+
+  return purifier;
+};
+
+/**
+ * Render a post or comment body to sanitized HTML. With `embeds` off
+ * embeddable links stay plain links.
+ */
+export const renderMarkdown = (body, { embeds = true } = {}) => {
+  if (!body) return '';
+
+  // The rendered HTML is parsed into an inert document first, so players
+  // are only picked up where they are real elements and not in code
+  const rendered = new window.DOMParser().parseFromString(markdown.render(body), 'text/html').body;
+  replaceIframes(rendered);
+
+  // Data attributes are reserved for image originals and the embed
+  // placeholders added below
+  const content = getPurifier().sanitize(rendered.innerHTML, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR,
+    ALLOW_DATA_ATTR: false,
+    RETURN_DOM: true
+  });
+  linkMentionsAndTags(content);
+  if (embeds) markEmbeds(content);
+  return content.innerHTML;
+};
+
+/**
+ * Plain text of a body, e.g. for previews, cut to `maxLength` characters
+ */
+export const markdownToText = (body, maxLength = Infinity) => {
+  if (!body) return '';
+
+  // Separate blocks with spaces, then let the browser decode entities
+  const html = markdown.render(body)
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ');
+  const text = new window.DOMParser()
+    .parseFromString(html, 'text/html')
+    .body.textContent
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text.length > maxLength ? `${text.substring(0, maxLength).trim()}...` : text;
+};
+
+export default {
+  toAppPath,
+  renderMarkdown,
+  markdownToText
+};
@@ -0,0 +1,109 @@
+import { renderMarkdown, toAppPath } from './MarkdownUtils';
+
+// Render a body into a detached element to inspect the result
+const toElement = (body, options) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderMarkdown(body, options);
+  return container;
+};
+
+describe('renderMarkdown sanitizing', () => {
+  test.each([
+    ['<a href="javascript:alert(1)">x</a>'],
+    ['<a href="JaVaScRiPt:alert(1)">x</a>'],
+    ['<a href="jav&#x09;ascript:alert(1)">x</a>'],
+    ['<a href="vbscript:msgbox(1)">x</a>'],
+    ['<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>'],
+    ['[x](javascript:alert(1))']
+  ])('drops the unsafe link in %s', (body) => {
+    expect(toElement(body).querySelector('a[href]')).toBeNull();
+  });
+
+  test.each([
+    ['<img src="https://example.com/a.png" onerror="alert(1)">'],
+    ['<a href="https://example.com" onclick="alert(1)">x</a>'],
+    ['<div onmouseover="alert(1)">x</div>'],
+    ['<details open ontoggle="alert(1)"><summary>x</summary></details>'],
+    ['<svg onload="alert(1)"></svg>']
+  ])('drops event handlers in %s', (body) => {
+    expect(toElement(body).innerHTML).not.toMatch(/\son\w+=/i);
+  });
+
+  test.each([
+    ['<script>alert(1)</script>', 'script'],
+    ['<style>body { display: none }</style>', 'style'],
+    ['<iframe src="https://evil.example.com"></iframe>', 'iframe'],
+    ['<object data="https://evil.example.com/x.swf"></object>', 'object'],
+    ['<form action="https://evil.example.com"><input name="q"></form>', 'form, input']
+  ])('drops %s', (body, selector) => {
+    expect(toElement(body).querySelector(selector)).toBeNull();
+  });
+
+  test('drops inline styles', () => {
+    expect(toElement('<div style="position: fixed">x</div>').querySelector('[style]')).toBeNull();
+  });
+
+  test('keeps only web images', () => {
+    expect(toElement('<img src="data:image/png;base64,AAAA">').querySelector('img')).toBeNull();
+    expect(toElement('<img src="javascript:alert(1)">').querySelector('img')).toBeNull();
+    expect(toElement('![x](https://example.com/a.png)').querySelector('img')).not.toBeNull();
+  });
+
+  test('does not accept embed placeholders from the body', () => {
+    const content = toElement('<div data-embed-url="https://www.youtube.com/watch?v=dQw4w9WgXcQ">x</div>');
+    expect(content.querySelector('[data-embed-url]')).toBeNull();
+  });
+
+  test('does not accept image originals from the body', () => {
+    const content = toElement('<img src="https://example.com/a.png" data-original-src="javascript:alert(1)">');
+    expect(content.innerHTML).not.toMatch(/javascript:/i);
+  });
+
+  test('keeps allowed classes only', () => {
+    expect(toElement('<div class="pull-left evil">x</div>').querySelector('div').className).toBe('pull-left');
+    expect(toElement('<div class="evil">x</div>').querySelector('div').hasAttribute('class')).toBe(false);
+    expect(toElement('```js\nx\n```').querySelector('code').className).toBe('language-js');
+  });
+
+  test('opens external links in a new tab without a referrer', () => {
+    const link = toElement('<a href="https://example.com">x</a>').querySelector('a');
+    expect(link.getAttribute('target')).toBe('_blank');
+    expect(link.getAttribute('rel')).toBe('noopener noreferrer nofollow');
+  });
+});
+
+describe('renderMarkdown media', () => {
+  test('turns an image URL alone on a line into an image', () => {
+    expect(toElement('https://example.com/a.png').querySelector('img')).not.toBeNull();
+    expect(toElement('see https://example.com/a.png').querySelector('img')).toBeNull();
+  });
+
+  test('turns a known player into an embed placeholder', () => {
+    const body = '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>';
+    expect(toElement(body).querySelector('[data-embed-url]').getAttribute('data-embed-url'))
+      .toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    expect(toElement(body, { embeds: false }).querySelector('[data-embed-url]')).toBeNull();
+  });
+
+  test('leaves code blocks as written', () => {
+    const code = 'https://example.com/a.png\n<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>\n';
+    const content = toElement(`\`\`\`\n${code}\`\`\``);
+    expect(content.querySelector('code').textContent).toBe(code);
+    expect(content.querySelector('img, [data-embed-url]')).toBeNull();
+  });
+});
+
+describe('toAppPath', () => {
+  test.each([
+    ['https://peakd.com/@alice/my-post', '/@alice/my-post'],
+    ['https://hive.blog/hive-1/@alice/my-post', '/@alice/my-post'],
+    ['https://ecency.com/@alice', '/profile/alice'],
+    ['https://peakd.com/@alice/wallet', '/profile/alice'],
+    ['https://peakd.com/hive-1/@alice/wallet', '/@alice/wallet'],
+    ['https://hive.blog/photography/@alice/blog', '/@alice/blog'],
+    ['https://hive.blog/trending/photography', '/trending/photography'],
+    ['https://example.com/@alice/my-post', null]
+  ])('maps %s to %s', (href, path) => {
+    expect(toAppPath(href)).toBe(path);
+  });
+});
@@ -0,0 +1,673 @@
+import accountFixtures from '../fixtures/mock-chain/accounts.json';
+import postFixtures from '../fixtures/mock-chain/posts.json';
+import followFixtures from '../fixtures/mock-chain/follows.json';
+import communityFixtures from '../fixtures/mock-chain/communities.json';
+
+/**
+ * In-memory stand-in for the dhive Client, used when the app is built
+ * with REACT_APP_MOCK_CHAIN=true.
+ *
+ * It implements the parts of the `database`, `broadcast` and `call`
+ * surfaces the app uses (condenser_api and bridge), against state seeded
+ * from the fixture files in
+ * fixtures/mock-chain. Broadcasts are checked against the fixture
+ * accounts' keys and change the in-memory state, so votes, comments and
+ * follows show up like on the real chain until the page is reloaded.
+ *
+ * Every fixture account uses the master password "mockchain".
+ */
+
+export const MOCK_ADDRESS_PREFIX = 'STM';
+const BLOCK_INTERVAL_MS = 3000;
+// Simulated network delay so loading states can be seen
+const RESPONSE_DELAY_MS = 150;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const delay = () => new Promise(resolve => setTimeout(resolve, RESPONSE_DELAY_MS));
+
+// Same format as the chain: UTC without the trailing Z
+const chainTime = (date = new Date()) => date.toISOString().slice(0, 19);
+
+const postKey = (author, permlink) => `${author}/${permlink}`;
+
+const parseTags = (post) => {
+  try {
+    return JSON.parse(post.json_metadata || '{}').tags || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Fill in the fields the fixtures leave out so posts look like
+ * condenser_api discussions
+ */
+const normalizePost = (post, id) => ({
+  id,
+  title: '',
+  json_metadata: '{}',
+  active_votes: [],
+  pending_payout_value: '0.000 HBD',
+  total_payout_value: '0.000 HBD',
+  curator_payout_value: '0.000 HBD',
+  author_reputation: '0',
+  last_update: post.created,
+  reblogged_by: [],
+  replies: [],
+  ...post
+});
+
+/**
+ * Create the in-memory chain state from the fixtures
+ */
+const createState = (fixtures) => {
+  const posts = new Map();
+  fixtures.posts.forEach((post, index) => {
+    posts.set(postKey(post.author, post.permlink), normalizePost(clone(post), index + 1));
+  });
+
+  return {
+    accounts: new Map(fixtures.accounts.map(account => [account.name, clone(account)])),
+    posts,
+    follows: clone(fixtures.follows),
+    communities: new Map((fixtures.communities || []).map(community => [community.name, clone(community)])),
+    reblogs: [],
+    headBlock: 80000000,
+    startedAt: Date.now()
+  };
+};
+
+export const createMockClient = (fixtures = {
+  accounts: accountFixtures,
+  posts: postFixtures,
+  follows: followFixtures,
+  communities: communityFixtures
+}) => {
+  const state = createState(fixtures);
+
+  const getHeadBlock = () => state.headBlock + Math.floor((Date.now() - state.startedAt) / BLOCK_INTERVAL_MS);
+
+  const getReplies = (author, permlink) => [...state.posts.values()]
+    .filter(post => post.parent_author === author && post.parent_permlink === permlink);
+
+  // Walk up to the root post of a comment
+  const getRoot = (post) => {
+    let current = post;
+    while (current.parent_author) {
+      const parent = state.posts.get(postKey(current.parent_author, current.parent_permlink));
+      if (!parent) break;
+      current = parent;
+    }
+    return current;
+  };
+
+  const getFollowing = (follower, type = 'blog') => state.follows
+    .filter(entry => entry.follower === follower && entry.what.includes(type));
+
+  const getFollowers = (following, type = 'blog') => state.follows
+    .filter(entry => entry.following === following && entry.what.includes(type));
+
+  // Compute the derived fields the way the chain reports them
+  const toDiscussion = (post) => {
+    const root = getRoot(post);
+    const replies = getReplies(post.author, post.permlink);
+    let depth = 0;
+    for (let current = post; current.parent_author; depth++) {
+      current = state.posts.get(postKey(current.parent_author, current.parent_permlink)) || {};
+    }
+
+    return clone({
+      ...post,
+      depth,
+      children: replies.reduce((total, reply) => total + 1 + toDiscussion(reply).children, 0),
+      net_votes: post.active_votes.filter(vote => vote.percent > 0).length -
+        post.active_votes.filter(vote => vote.percent < 0).length,
+      root_author: root.author,
+      root_permlink: root.permlink,
+      root_title: root.title,
+      url: `/${post.category}/@${root.author}/${root.permlink}${root === post ? '' : `#@${post.author}/${post.permlink}`}`
+    });
+  };
+
+  const rootPosts = () => [...state.posts.values()].filter(post => !post.parent_author);
+
+  const byCreated = (a, b) => b.created.localeCompare(a.created);
+
+  const byVotes = (a, b) => {
+    const score = (post) => post.active_votes.reduce((total, vote) => total + Number(vote.rshares || 0), 0);
+    return score(b) - score(a) || byCreated(a, b);
+  };
+
+  // Votes weighted down by age, like the "hot" sort
+  const byHot = (a, b) => {
+    const score = (post) => {
+      const ageHours = (Date.now() - new Date(`${post.created}Z`).getTime()) / 3600000;
+      return post.active_votes.length / Math.pow(ageHours + 2, 1.8);
+    };
+    return score(b) - score(a) || byCreated(a, b);
+  };
+
+  /**
+   * Same query shape as client.database.getDiscussions
+   */
+  const getDiscussions = (by, query = {}) => {
+    const { tag = '', limit = 20, start_author: startAuthor, start_permlink: startPermlink } = query;
+    let posts;
+
+    switch (by) {
+      case 'blog': {
+        const reblogged = state.reblogs
+          .filter(entry => entry.account === tag)
+          .map(entry => state.posts.get(postKey(entry.author, entry.permlink)))
+          .filter(Boolean);
+        posts = [...rootPosts().filter(post => post.author === tag), ...reblogged].sort(byCreated);
+        break;
+      }
+      case 'feed': {
+        const following = getFollowing(tag).map(entry => entry.following);
+        const reblogged = state.reblogs
+          .filter(entry => following.includes(entry.account))
+          .map(entry => state.posts.get(postKey(entry.author, entry.permlink)))
+          .filter(Boolean);
+        posts = [...new Set([...rootPosts().filter(post => following.includes(post.author)), ...reblogged])]
+          .sort(byCreated);
+        break;
+      }
+      case 'created':
+      case 'trending':
+      case 'hot': {
+        const sorts = { created: byCreated, trending: byVotes, hot: byHot };
+        posts = rootPosts()
+          .filter(post => !tag || post.category === tag || parseTags(post).includes(tag))
+          .sort(sorts[by]);
+        break;
+      }
+      case 'promoted':
+        posts = [];
+        break;
+      default:
+        throw new Error(`Mock chain does not support getDiscussions('${by}')`);
+    }
+
+    // Paging starts at (and includes) the start post
+    if (startAuthor && startPermlink) {
+      const start = posts.findIndex(post => post.author === startAuthor && post.permlink === startPermlink);
+      posts = start === -1 ? [] : posts.slice(start);
+    }
+
+    return posts.slice(0, limit).map(toDiscussion);
+  };
+
+  /**
+   * Accounts with follower counts, which the real API leaves out
+   */
+  const getAccounts = (names) => names
+    .map(name => state.accounts.get(name))
+    .filter(Boolean)
+    .map(account => clone({
+      ...account,
+      follower_count: getFollowers(account.name).length,
+      following_count: getFollowing(account.name).length
+    }));
+
+  const getDynamicGlobalProperties = () => ({
+    head_block_number: getHeadBlock(),
+    last_irreversible_block_num: getHeadBlock() - 20,
+    time: chainTime(),
+    current_witness: 'mockchain'
+  });
+
+  // Empty content object the chain returns for missing posts
+  const emptyContent = () => ({
+    id: 0,
+    author: '',
+    permlink: '',
+    category: '',
+    title: '',
+    body: '',
+    json_metadata: '',
+    created: '1970-01-01T00:00:00',
+    active_votes: []
+  });
+
+  /**
+   * Convert a post to the bridge API shape
+   */
+  const toBridgePost = (post, extra = {}) => {
+    const discussion = toDiscussion(post);
+    let metadata = {};
+    try {
+      metadata = JSON.parse(discussion.json_metadata || '{}');
+    } catch (e) {
+      metadata = {};
+    }
+
+    const payoutAt = new Date(new Date(`${discussion.created}Z`).getTime() + 7 * 24 * 3600 * 1000);
+
+    // Posts in a community carry the community and the author's role in it
+    const community = state.communities.get(discussion.category);
+    const [, role, title] = community?.team.find(([name]) => name === discussion.author) || [];
+    const communityFields = community ? {
+      community: community.name,
+      community_title: community.title,
+      author_role: role || 'guest',
+      author_title: title || ''
+    } : {};
+
+    return {
+      post_id: discussion.id,
+      author: discussion.author,
+      permlink: discussion.permlink,
+      category: discussion.category,
+      parent_author: discussion.parent_author || undefined,
+      parent_permlink: discussion.parent_permlink || undefined,
+      title: discussion.title,
+      body: discussion.body,
+      json_metadata: metadata,
+      created: discussion.created,
+      updated: discussion.last_update,
+      depth: discussion.depth,
+      children: discussion.children,
+      net_rshares: discussion.active_votes.reduce((total, vote) => total + Number(vote.rshares || 0), 0),
+      is_paidout: false,
+      payout_at: chainTime(payoutAt),
+      payout: parseFloat(discussion.pending_payout_value) || 0,
+      pending_payout_value: discussion.pending_payout_value,
+      author_payout_value: '0.000 HBD',
+      curator_payout_value: '0.000 HBD',
+      promoted: '0.000 HBD',
+      replies: [],
+      author_reputation: 25,
+      stats: {
+        hide: false,
+        gray: false,
+        total_votes: discussion.active_votes.length,
+        flag_weight: 0
+      },
+      url: discussion.url,
+      beneficiaries: [],
+      max_accepted_payout: '1000000.000 HBD',
+      percent_hbd: 10000,
+      active_votes: discussion.active_votes.map(({ voter, rshares }) => ({ voter, rshares })),
+      blacklists: [],
+      ...communityFields,
+      ...extra
+    };
+  };
+
+  // Bridge paging starts after (and excludes) the start post
+  const pageAfter = (posts, { limit = 20, start_author: startAuthor, start_permlink: startPermlink }) => {
+    let page = posts;
+    if (startAuthor && startPermlink) {
+      const start = posts.findIndex(post => post.author === startAuthor && post.permlink === startPermlink);
+      page = start === -1 ? [] : posts.slice(start + 1);
+    }
+    return page.slice(0, limit);
+  };
+
+  const getPostOrThrow = (author, permlink) => {
+    const post = state.posts.get(postKey(author, permlink));
+    if (!post) {
+      throw new Error(`Post @${author}/${permlink} does not exist`);
+    }
+    return post;
+  };
+
+  /**
+   * bridge methods, by name. Parameters are named.
+   */
+  const bridgeMethods = {
+    get_ranked_posts: ({ sort = 'trending', tag = '', ...paging }) => {
+      const by = ['trending', 'hot', 'created', 'promoted'].includes(sort) ? sort : 'created';
+      const posts = getDiscussions(by, { tag, limit: state.posts.size });
+      return pageAfter(posts, paging).map(discussion => toBridgePost(state.posts.get(postKey(discussion.author, discussion.permlink))));
+    },
+    get_account_posts: ({ sort = 'blog', account, ...paging }) => {
+      if (!state.accounts.has(account)) {
+        throw new Error(`Account ${account} does not exist`);
+      }
+
+      const all = [...state.posts.values()];
+      let posts;
+      switch (sort) {
+        case 'blog':
+        case 'feed':
+          posts = getDiscussions(sort, { tag: account, limit: state.posts.size })
+            .map(discussion => state.posts.get(postKey(discussion.author, discussion.permlink)));
+          break;
+        case 'posts':
+          posts = all.filter(post => post.author === account && !post.parent_author).sort(byCreated);
+          break;
+        case 'comments':
+          posts = all.filter(post => post.author === account && post.parent_author).sort(byCreated);
+          break;
+        case 'replies':
+          posts = all.filter(post => post.parent_author === account).sort(byCreated);
+          break;
+        default:
+          throw new Error(`Mock chain does not support get_account_posts sort ${sort}`);
+      }
+
+      return pageAfter(posts, paging).map(post => {
+        const rebloggers = state.reblogs
+          .filter(entry => entry.author === post.author && entry.permlink === post.permlink)
+          .map(entry => entry.account);
+        // Like hivemind, blogs and feeds say who reblogged a post
+        const rebloggedBy = sort === 'blog'
+          ? rebloggers.filter(name => name === account && post.author !== account)
+          : sort === 'feed'
+            ? rebloggers.filter(name => getFollowing(account).some(entry => entry.following === name))
+            : [];
+        return toBridgePost(post, rebloggedBy.length > 0 ? { reblogged_by: rebloggedBy } : {});
+      });
+    },
+    get_post: ({ author, permlink }) => toBridgePost(getPostOrThrow(author, permlink)),
+    get_community: ({ name }) => {
+      const community = state.communities.get(name);
+      if (!community) {
+        throw new Error(`Community ${name} does not exist`);
+      }
+      return clone(community);
+    },
+    get_discussion: ({ author, permlink }) => {
+      const root = getPostOrThrow(author, permlink);
+      const thread = {};
+      const addThread = (post) => {
+        const replies = getReplies(post.author, post.permlink).sort((a, b) => a.created.localeCompare(b.created));
+        thread[postKey(post.author, post.permlink)] = toBridgePost(post, {
+          replies: replies.map(reply => postKey(reply.author, reply.permlink))
+        });
+        replies.forEach(addThread);
+      };
+      addThread(root);
+      return thread;
+    }
+  };
+
+  /**
+   * condenser_api methods, by name
+   */
+  const condenserMethods = {
+    get_accounts: ([names]) => getAccounts(names),
+    get_dynamic_global_properties: () => getDynamicGlobalProperties(),
+    get_content: ([author, permlink]) => {
+      const post = state.posts.get(postKey(author, permlink));
+      return post ? toDiscussion(post) : emptyContent();
+    },
+    get_content_replies: ([author, permlink]) => getReplies(author, permlink)
+      .sort((a, b) => a.created.localeCompare(b.created))
+      .map(toDiscussion),
+    get_following: ([follower, start, type = 'blog', limit = 100]) => {
+      const entries = getFollowing(follower, type)
+        .map(entry => entry.following)
+        .sort()
+        .filter(following => !start || following >= start);
+      return entries.slice(0, limit).map(following => ({ follower, following, what: [type] }));
+    },
+    get_followers: ([following, start, type = 'blog', limit = 100]) => {
+      const entries = getFollowers(following, type)
+        .map(entry => entry.follower)
+        .sort()
+        .filter(follower => !start || follower >= start);
+      return entries.slice(0, limit).map(follower => ({ follower, following, what: [type] }));
+    },
+    get_follow_count: ([account]) => ({
+      account,
+      follower_count: getFollowers(account).length,
+      following_count: getFollowing(account).length
+    }),
+    get_discussions_by_trending: ([query]) => getDiscussions('trending', query),
+    get_discussions_by_hot: ([query]) => getDiscussions('hot', query),
+    get_discussions_by_created: ([query]) => getDiscussions('created', query),
+    get_discussions_by_promoted: ([query]) => getDiscussions('promoted', query),
+    get_discussions_by_blog: ([query]) => getDiscussions('blog', query),
+    get_discussions_by_feed: ([query]) => getDiscussions('feed', query)
+  };
+
+  const callCondenser = async (method, params = []) => {
+    await delay();
+    const handler = condenserMethods[method];
+    if (!handler) {
+      throw new Error(`Mock chain does not implement ${method}`);
+    }
+    return handler(params);
+  };
+
+  /**
+   * Accounts whose posting authority has to sign an operation
+   */
+  const getSigningAccounts = ([name, payload]) => {
+    switch (name) {
+      case 'vote':
+        return [payload.voter];
+      case 'comment':
+      case 'comment_options':
+      case 'delete_comment':
+        return [payload.author];
+      case 'custom_json':
+        return [...payload.required_auths, ...payload.required_posting_auths];
+      default:
+        throw new Error(`Mock chain does not support the ${name} operation`);
+    }
+  };
+
+  /**
+   * Reject the transaction unless the key belongs to every signing account,
+   * like the chain's missing authority error
+   */
+  const checkKey = (operations, key) => {
+    const publicKey = key?.createPublic ? key.createPublic(MOCK_ADDRESS_PREFIX).toString() : null;
+
+    operations.flatMap(getSigningAccounts).forEach(name => {
+      const account = state.accounts.get(name);
+      if (!account) {
+        throw new Error(`Account @${name} does not exist`);
+      }
+
+      const authorized = ['posting', 'active', 'owner'].some(role => (
+        account[role].key_auths.some(([keyAuth]) => keyAuth === publicKey)
+      ));
+      if (!authorized) {
+        throw new Error(`Missing Posting Authority ${name}`);
+      }
+    });
+  };
+
+  const applyVote = ({ voter, author, permlink, weight }) => {
+    const post = state.posts.get(postKey(author, permlink));
+    if (!post) {
+      throw new Error(`Cannot vote on missing post @${author}/${permlink}`);
+    }
+
+    post.active_votes = post.active_votes.filter(vote => vote.voter !== voter);
+    if (weight !== 0) {
+      post.active_votes.push({
+        voter,
+        weight: Math.abs(weight) / 100,
+        rshares: String(weight * 1000000),
+        percent: weight,
+        reputation: '0',
+        time: chainTime()
+      });
+    }
+  };
+
+  const applyComment = (payload) => {
+    const key = postKey(payload.author, payload.permlink);
+    const existing = state.posts.get(key);
+
+    // Editing an existing post keeps its votes and creation time
+    if (existing) {
+      Object.assign(existing, {
+        title: payload.title,
+        body: payload.body,
+        json_metadata: payload.json_metadata,
+        last_update: chainTime()
+      });
+      return;
+    }
+
+    let category = payload.parent_permlink;
+    if (payload.parent_author) {
+      const parent = state.posts.get(postKey(payload.parent_author, payload.parent_permlink));
+      if (!parent) {
+        throw new Error(`Cannot reply to missing post @${payload.parent_author}/${payload.parent_permlink}`);
+      }
+      category = parent.category;
+    }
+
+    state.posts.set(key, normalizePost({
+      author: payload.author,
+      permlink: payload.permlink,
+      parent_author: payload.parent_author,
+      parent_permlink: payload.parent_permlink,
+      category,
+      title: payload.title,
+      body: payload.body,
+      json_metadata: payload.json_metadata,
+      created: chainTime()
+    }, state.posts.size + 1));
+
+    const account = state.accounts.get(payload.author);
+    account.post_count += 1;
+    account.last_post = chainTime();
+    if (!payload.parent_author) {
+      account.last_root_post = chainTime();
+    }
+  };
+
+  const applyDeleteComment = ({ author, permlink }) => {
+    const key = postKey(author, permlink);
+    const post = state.posts.get(key);
+    if (!post) return;
+
+    if (getReplies(author, permlink).length > 0 || post.active_votes.some(vote => vote.percent > 0)) {
+      throw new Error('Cannot delete a comment with replies or net positive votes');
+    }
+    state.posts.delete(key);
+  };
+
+  // The follow plugin's custom_json: follow/unfollow/mute and reblog
+  const applyFollowPlugin = (payload) => {
+    const [action, details = {}] = JSON.parse(payload.json);
+    const account = payload.required_posting_auths[0];
+
+    if (action === 'follow') {
+      if (details.follower !== account) {
+        throw new Error('The follower must sign the follow operation');
+      }
+      state.follows = state.follows.filter(entry => !(
+        entry.follower === details.follower && entry.following === details.following
+      ));
+      if (details.what && details.what.length > 0) {
+        state.follows.push({ follower: details.follower, following: details.following, what: details.what });
+      }
+      return;
+    }
+
+    if (action === 'reblog') {
+      if (!state.posts.has(postKey(details.author, details.permlink))) {
+        throw new Error(`Cannot reblog missing post @${details.author}/${details.permlink}`);
+      }
+      state.reblogs = state.reblogs.filter(entry => !(
+        entry.account === details.account && entry.author === details.author && entry.permlink === details.permlink
+      ));
+      if (!details.delete) {
+        state.reblogs.push({ account: details.account, author: details.author, permlink: details.permlink });
+      }
+      return;
+    }
+
+    throw new Error(`Mock chain does not support the follow plugin action ${action}`);
+  };
+
+  const applyOperation = ([name, payload]) => {
+    switch (name) {
+      case 'vote':
+        return applyVote(payload);
+      case 'comment':
+        return applyComment(payload);
+      case 'comment_options':
+        return undefined;
+      case 'delete_comment':
+        return applyDeleteComment(payload);
+      case 'custom_json':
+        // Other custom_json ids are accepted and ignored, as on the chain
+        return payload.id === 'follow' ? applyFollowPlugin(payload) : undefined;
+      default:
+        throw new Error(`Mock chain does not support the ${name} operation`);
+    }
+  };
+
+  /**
+   * Same shape as client.broadcast.sendOperations. The whole transaction
+   * is validated before any operation is applied.
+   */
+  const sendOperations = async (operations, key) => {
+    await delay();
+    checkKey(operations, key);
+
+    const snapshot = {
+      posts: new Map([...state.posts].map(([id, post]) => [id, clone(post)])),
+      accounts: new Map([...state.accounts].map(([name, account]) => [name, clone(account)])),
+      follows: clone(state.follows),
+      reblogs: clone(state.reblogs)
+    };
+
+    try {
+      operations.forEach(applyOperation);
+    } catch (err) {
+      Object.assign(state, snapshot);
+      throw err;
+    }
+
+    const blockNum = getHeadBlock() + 1;
+    return {
+      id: `mock${blockNum.toString(16)}${Math.random().toString(16).slice(2, 10)}`,
+      block_num: blockNum,
+      trx_num: 0,
+      expired: false
+    };
+  };
+
+  return {
+    isMockChain: true,
+    address: ['mock://chain'],
+    currentAddress: 'mock://chain',
+    addressPrefix: MOCK_ADDRESS_PREFIX,
+    database: {
+      getDiscussions: async (by, query) => {
+        await delay();
+        return getDiscussions(by, query);
+      },
+      getAccounts: async (names) => {
+        await delay();
+        return getAccounts(names);
+      },
+      getDynamicGlobalProperties: async () => getDynamicGlobalProperties(),
+      call: callCondenser
+    },
+    broadcast: {
+      sendOperations
+    },
+    // client.call(api, method, params) as in dhive
+    call: async (api, method, params) => {
+      if (api === 'condenser_api') {
+        return callCondenser(method, params);
+      }
+
+      await delay();
+      const handler = api === 'bridge' ? bridgeMethods[method] : null;
+      if (!handler) {
+        throw new Error(`Mock chain does not implement ${api}.${method}`);
+      }
+      return handler(params || {});
+    }
+  };
+};
+
+export default {
+  MOCK_ADDRESS_PREFIX,
+  createMockClient
+};
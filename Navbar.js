@@ -3,8 +3,45 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { HiveContext } from '../App';
 import { Logo } from '../utils/ImageUtils';
 
+// Short labels for the auth method of each saved account
+const AUTH_METHOD_LABELS = {
+  keychain: 'Keychain',
+  key: 'Posting key',
+  hivesigner: 'HiveSigner',
+  hiveauth: 'HiveAuth'
+};
+
+// Colors and labels of the API node status indicator
+const NODE_STATES = {
+  healthy: { color: 'bg-green-500', label: 'Connected' },
+  degraded: { color: 'bg-yellow-400', label: 'Slow connection' },
+  down: { color: 'bg-red-500', label: 'No healthy API node' },
+  unknown: { color: 'bg-gray-300', label: 'Checking API nodes' }
+};
+
+// Small dot showing the health of the Hive API node in use
+const NodeStatusIndicator = ({ status }) => {
+  const { color, label } = NODE_STATES[status.state] || NODE_STATES.unknown;
+  const current = status.nodes.find(node => node.url === status.current);
+  const details = [
+    label,
+    current && `${current.url.replace(/^https?:\/\//, '')}${current.latencyMs !== null ? ` - ${current.latencyMs} ms` : ''}`,
+    current?.headBlock && `Block ${current.headBlock.toLocaleString()}`,
+    ...status.nodes
+      .filter(node => node.status === 'down' || node.status === 'lagging')
+      .map(node => `${node.url.replace(/^https?:\/\//, '')}: ${node.status === 'down' ? 'unreachable' : `${node.lag} blocks behind`}`)
+  ].filter(Boolean).join('\n');
+
+  return (
+    <Link to="/settings" className="p-2 flex items-center" title={details}>
+      <span className="sr-only">{label}</span>
+      <span className={`block h-2.5 w-2.5 rounded-full ${color}`}></span>
+    </Link>
+  );
+};
+
 const Navbar = () => {
-  const { user, setUser, isKeychain } = useContext(HiveContext);
+  const { user, accounts, logout, logoutAll, switchAccount, isKeychain, vaultUnlocked, lockVault, nodeStatus, isMockChain } = useContext(HiveContext);
   const [isScrolled, setIsScrolled] = useState(false);
   const [menuOpen, setMenuOpen] = useState(false);
   const location = useLocation();
@@ -28,8 +65,12 @@ const Navbar = () => {
   }, [location]);
 
   const handleLogout = () => {
-    setUser(null);
-    localStorage.removeItem('hivesocial_user');
+    logout();
+    setMenuOpen(false);
+  };
+
+  const handleLogoutAll = () => {
+    logoutAll();
     setMenuOpen(false);
   };
 
@@ -38,6 +79,18 @@ const Navbar = () => {
     setMenuOpen(false);
   };
 
+  const handleAddAccount = () => {
+    navigate('/login', { state: { from: location.pathname } });
+    setMenuOpen(false);
+  };
+
+  const handleSwitchAccount = (username) => {
+    switchAccount(username);
+    setMenuOpen(false);
+  };
+
+  const otherAccounts = accounts.filter(account => account.username !== user);
+
   const toggleMenu = () => {
     setMenuOpen(!menuOpen);
   };
@@ -64,11 +117,38 @@ const Navbar = () => {
               <Link to="/chat" className={`px-3 py-2 rounded-md text-sm font-medium ${location.pathname === '/chat' ? 'bg-gray-100 text-gray-900' : 'text-gray-600 hover:bg-gray-50'}`}>
                 Chat
               </Link>
+              <Link to="/settings" className={`px-3 py-2 rounded-md text-sm font-medium ${location.pathname === '/settings' ? 'bg-gray-100 text-gray-900' : 'text-gray-600 hover:bg-gray-50'}`}>
+                Settings
+              </Link>
             </div>
           </div>
           
           {/* Right side buttons */}
           <div className="flex items-center">
+            {isMockChain && (
+              <span
+                className="mr-2 px-2 py-0.5 text-xs font-medium rounded bg-yellow-100 text-yellow-800"
+                title="Data comes from local fixtures and nothing is broadcast to Hive"
+              >
+                Mock chain
+              </span>
+            )}
+            {nodeStatus && <NodeStatusIndicator status={nodeStatus} />}
+
+            {/* Key vault lock */}
+            {vaultUnlocked && (
+              <button
+                onClick={lockVault}
+                className="p-2 rounded-md text-gray-600 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title="Lock key vault"
+              >
+                <span className="sr-only">Lock key vault</span>
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 11V7a4 4 0 118 0m-4 8v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2z" />
+                </svg>
+              </button>
+            )}
+            
             {/* User menu */}
             {user ? (
               <div className="relative ml-3">
@@ -86,12 +166,43 @@ const Navbar = () => {
                 {menuOpen && (
                   <div className="absolute right-0 mt-2 w-48 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5">
                     <div className="py-1">
+                      <div className="px-4 py-2 text-xs text-gray-500 border-b border-gray-100">
+                        Signed in as <span className="font-medium text-gray-800">@{user}</span>
+                      </div>
                       <Link to={`/profile/${user}`} className="block px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
                         Profile
                       </Link>
-                      <button onClick={handleLogout} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
-                        Sign out
-                      </button>
+                      {otherAccounts.length > 0 && (
+                        <div className="border-t border-gray-100 py-1">
+                          <div className="px-4 py-1 text-xs text-gray-500">Switch account</div>
+                          {otherAccounts.map(account => (
+                            <button
+                              key={account.username}
+                              onClick={() => handleSwitchAccount(account.username)}
+                              className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                            >
+                              <span className="w-6 h-6 mr-2 rounded-full flex items-center justify-center bg-gray-200 text-gray-700 text-xs">
+                                {account.username.charAt(0).toUpperCase()}
+                              </span>
+                              <span className="flex-grow">@{account.username}</span>
+                              <span className="text-xs text-gray-400">{AUTH_METHOD_LABELS[account.authMethod] || ''}</span>
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      <div className="border-t border-gray-100 py-1">
+                        <button onClick={handleAddAccount} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                          Add account
+                        </button>
+                        <button onClick={handleLogout} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                          Sign out @{user}
+                        </button>
+                        {otherAccounts.length > 0 && (
+                          <button onClick={handleLogoutAll} className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100">
+                            Sign out of all accounts
+                          </button>
+                        )}
+                      </div>
                     </div>
                   </div>
                 )}
@@ -101,7 +212,7 @@ const Navbar = () => {
                 onClick={handleLogin}
                 className="bg-blue-500 hover:bg-blue-600 text-white font-medium py-2 px-4 rounded transition duration-150 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
               >
-                Sign In with {isKeychain ? 'Keychain' : 'Ecency'}
+                Sign In with {isKeychain ? 'Keychain' : 'HiveSigner'}
               </button>
             )}
             
@@ -149,13 +260,28 @@ const Navbar = () => {
             <Link to="/chat" className={`block px-3 py-2 rounded-md text-base font-medium ${location.pathname === '/chat' ? 'bg-gray-100 text-gray-900' : 'text-gray-600 hover:bg-gray-50'}`}>
               Chat
             </Link>
+            <Link to="/settings" className={`block px-3 py-2 rounded-md text-base font-medium ${location.pathname === '/settings' ? 'bg-gray-100 text-gray-900' : 'text-gray-600 hover:bg-gray-50'}`}>
+              Settings
+            </Link>
             {user ? (
               <>
                 <Link to={`/profile/${user}`} className={`block px-3 py-2 rounded-md text-base font-medium ${location.pathname.startsWith('/profile') ? 'bg-gray-100 text-gray-900' : 'text-gray-600 hover:bg-gray-50'}`}>
                   Profile
                 </Link>
+                {otherAccounts.map(account => (
+                  <button
+                    key={account.username}
+                    onClick={() => handleSwitchAccount(account.username)}
+                    className="block w-full text-left px-3 py-2 rounded-md text-base font-medium text-gray-600 hover:bg-gray-50"
+                  >
+                    Switch to @{account.username}
+                  </button>
+                ))}
+                <button onClick={handleAddAccount} className="block w-full text-left px-3 py-2 rounded-md text-base font-medium text-gray-600 hover:bg-gray-50">
+                  Add account
+                </button>
                 <button onClick={handleLogout} className="block w-full text-left px-3 py-2 rounded-md text-base font-medium text-gray-600 hover:bg-gray-50">
-                  Sign out
+                  Sign out @{user}
                 </button>
               </>
             ) : (
@@ -163,7 +289,7 @@ const Navbar = () => {
                 onClick={handleLogin}
                 className="block w-full text-left px-3 py-2 rounded-md text-base font-medium text-blue-600 hover:bg-blue-50"
               >
-                Sign In with {isKeychain ? 'Keychain' : 'Ecency'}
+                Sign In with {isKeychain ? 'Keychain' : 'HiveSigner'}
               </button>
             )}
           </div>
@@ -0,0 +1,353 @@
+import axios from 'axios';
+
+/**
+ * Hive API node health monitor.
+ *
+ * Every node is pinged periodically with get_dynamic_global_properties to
+ * track its latency, recent error rate and head block. Nodes are used in
+ * the order the user gave them, except that slow or flaky nodes move behind
+ * the others, and every registered dhive client is pointed at that list, so
+ * dhive's own failover walks through the preferred nodes first. Nodes that
+ * are down or lagging behind the head block are left out while at least
+ * one healthy node remains.
+ *
+ * The node list itself can be changed on the settings page and is saved
+ * per browser in localStorage.
+ */
+
+export const DEFAULT_NODES = [
+  'https://api.hive.blog',
+  'https://api.hivekings.com',
+  'https://anyx.io',
+  'https://api.openhive.network'
+];
+
+// How often nodes are pinged
+export const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+const PING_TIMEOUT_MS = 5000;
+const NODES_STORAGE_KEY = 'hivesocial_nodes';
+// Nodes more than this many blocks (3s each) behind the best node are dropped
+const MAX_HEAD_BLOCK_LAG = 10;
+// Latency above this marks the connection as degraded and moves the node
+// behind the faster ones
+const SLOW_LATENCY_MS = 1500;
+// Nodes failing at least this share of recent pings move behind the others
+const FLAKY_ERROR_RATE = 0.5;
+// Number of recent pings used for the error rate
+const HISTORY_SIZE = 10;
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Load the node list saved in this browser
+ */
+const loadNodes = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(NODES_STORAGE_KEY) || 'null');
+    if (Array.isArray(saved) && saved.length > 0) {
+      return saved;
+    }
+  } catch (e) {
+    console.error('Failed to parse saved API nodes');
+  }
+  return [...DEFAULT_NODES];
+};
+
+// In-memory monitor state
+let nodeUrls = loadNodes();
+let health = {};
+let checkedAt = null;
+let monitorTimer = null;
+const clients = new Set();
+const listeners = new Set();
+
+const emptyHealth = (url) => ({
+  url,
+  latencyMs: null,
+  history: [],
+  headBlock: null,
+  lag: null,
+  lastError: null,
+  status: 'unknown'
+});
+
+const getHealth = (url) => health[url] || emptyHealth(url);
+
+const errorRate = (node) => {
+  if (node.history.length === 0) return 0;
+  return node.history.filter(ok => !ok).length / node.history.length;
+};
+
+/**
+ * Score a node: lower is better. Slow and flaky nodes rank lower.
+ */
+const scoreNode = (node) => {
+  if (node.latencyMs === null) return Number.MAX_SAFE_INTEGER;
+  return node.latencyMs * (1 + 4 * errorRate(node)) + (node.lag || 0) * 100;
+};
+
+const byScore = (a, b) => scoreNode(a) - scoreNode(b);
+
+const isSlow = (node) => (
+  (node.latencyMs !== null && node.latencyMs > SLOW_LATENCY_MS) || errorRate(node) >= FLAKY_ERROR_RATE
+);
+
+/**
+ * Nodes in the order to use them: healthy nodes in the user's order,
+ * then slow or flaky ones by score, and only if no node is healthy the
+ * rest by score as a last resort
+ */
+export const getOrderedNodes = () => {
+  const nodes = nodeUrls.map(getHealth);
+  const usable = nodes.filter(node => node.status === 'healthy' || node.status === 'unknown');
+  if (usable.length === 0) {
+    return [...nodes].sort(byScore).map(node => node.url);
+  }
+
+  const preferred = usable.filter(node => !isSlow(node));
+  const demoted = usable.filter(isSlow).sort(byScore);
+  return [...preferred, ...demoted].map(node => node.url);
+};
+
+/**
+ * Summary of the current node health for the UI
+ */
+export const getNodeStatus = () => {
+  const nodes = nodeUrls.map(url => {
+    const node = getHealth(url);
+    return {
+      url,
+      status: node.status,
+      latencyMs: node.latencyMs === null ? null : Math.round(node.latencyMs),
+      errorRate: errorRate(node),
+      headBlock: node.headBlock,
+      lag: node.lag,
+      lastError: node.lastError
+    };
+  });
+
+  const current = getOrderedNodes()[0] || null;
+  const currentNode = nodes.find(node => node.url === current);
+  let state = 'unknown';
+  if (checkedAt) {
+    if (!currentNode || currentNode.status !== 'healthy') {
+      state = 'down';
+    } else if (currentNode.latencyMs > SLOW_LATENCY_MS || nodes.some(node => node.status !== 'healthy')) {
+      state = 'degraded';
+    } else {
+      state = 'healthy';
+    }
+  }
+
+  return { state, current, nodes, checkedAt };
+};
+
+const notify = () => {
+  const status = getNodeStatus();
+  listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Point every registered client at the ranked node list
+ */
+const applyToClients = () => {
+  const ordered = getOrderedNodes();
+  clients.forEach(client => {
+    client.address = ordered;
+    client.currentAddress = ordered[0];
+  });
+};
+
+/**
+ * Ping one node and measure how long it takes to answer
+ */
+const pingNode = async (url) => {
+  const started = performance.now();
+  try {
+    const response = await axios.post(
+      url,
+      { jsonrpc: '2.0', method: 'condenser_api.get_dynamic_global_properties', params: [], id: 1 },
+      { timeout: PING_TIMEOUT_MS }
+    );
+
+    if (response.data.error) {
+      throw new Error(response.data.error.message || 'RPC error');
+    }
+
+    return {
+      ok: true,
+      latencyMs: performance.now() - started,
+      headBlock: response.data.result.head_block_number
+    };
+  } catch (err) {
+    return { ok: false, error: err.message || 'Request failed' };
+  }
+};
+
+/**
+ * Check that a node URL is usable and normalize it. Plain http is only
+ * accepted for local nodes, browsers block it on an https page anyway.
+ */
+export const validateNodeUrl = (input, existing = nodeUrls) => {
+  const value = (input || '').trim().replace(/\/+$/, '');
+  if (!value) {
+    return { success: false, error: 'Please enter a node URL' };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (e) {
+    return { success: false, error: 'That is not a valid URL' };
+  }
+
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocal)) {
+    return { success: false, error: 'Node URLs must use https:// (http:// is only allowed for localhost)' };
+  }
+
+  if (parsed.search || parsed.hash || parsed.username || parsed.password) {
+    return { success: false, error: 'Node URLs cannot contain credentials, a query string or a fragment' };
+  }
+
+  if (existing.includes(value)) {
+    return { success: false, error: 'This node is already in the list' };
+  }
+
+  return { success: true, url: value };
+};
+
+/**
+ * Test a single node without changing its recorded health
+ */
+export const testNode = async (url) => {
+  const result = await pingNode(url);
+  return result.ok
+    ? { success: true, latencyMs: Math.round(result.latencyMs), headBlock: result.headBlock }
+    : { success: false, error: result.error };
+};
+
+/**
+ * Switch to a new node list and re-check every node
+ */
+const switchNodeList = (urls) => {
+  nodeUrls = [...urls];
+  // Forget the health of nodes that were removed
+  health = Object.fromEntries(Object.entries(health).filter(([url]) => nodeUrls.includes(url)));
+  applyToClients();
+  notify();
+  checkNodes();
+};
+
+/**
+ * Replace the node list and save it in this browser
+ */
+export const setNodes = (urls) => {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return { success: false, error: 'At least one API node is required' };
+  }
+
+  localStorage.setItem(NODES_STORAGE_KEY, JSON.stringify(urls));
+  switchNodeList(urls);
+  return { success: true };
+};
+
+/**
+ * Go back to the built-in node list
+ */
+export const restoreDefaultNodes = () => {
+  localStorage.removeItem(NODES_STORAGE_KEY);
+  switchNodeList(DEFAULT_NODES);
+  return { success: true };
+};
+
+/**
+ * Ping every node once, update their health and re-rank them
+ */
+export const checkNodes = async () => {
+  const urls = [...nodeUrls];
+  const results = await Promise.all(urls.map(pingNode));
+  const bestHead = Math.max(0, ...results.filter(result => result.ok).map(result => result.headBlock));
+
+  const next = {};
+  // The list may have been edited while the pings were in flight
+  urls.filter(url => nodeUrls.includes(url)).forEach((url) => {
+    const index = urls.indexOf(url);
+    const result = results[index];
+    const previous = getHealth(url);
+    const history = [...previous.history, result.ok].slice(-HISTORY_SIZE);
+
+    if (!result.ok) {
+      next[url] = { ...previous, history, lastError: result.error, status: 'down' };
+      return;
+    }
+
+    const latencyMs = previous.latencyMs === null
+      ? result.latencyMs
+      : previous.latencyMs * (1 - LATENCY_SMOOTHING) + result.latencyMs * LATENCY_SMOOTHING;
+    const lag = bestHead - result.headBlock;
+
+    next[url] = {
+      url,
+      latencyMs,
+      history,
+      headBlock: result.headBlock,
+      lag,
+      lastError: null,
+      status: lag > MAX_HEAD_BLOCK_LAG ? 'lagging' : 'healthy'
+    };
+  });
+
+  health = next;
+  checkedAt = Date.now();
+  applyToClients();
+  notify();
+  return getNodeStatus();
+};
+
+/**
+ * Start pinging nodes periodically. Returns a function that stops it.
+ */
+export const startMonitoring = (intervalMs = DEFAULT_CHECK_INTERVAL_MS) => {
+  clearInterval(monitorTimer);
+  checkNodes();
+  monitorTimer = setInterval(checkNodes, intervalMs);
+
+  return () => {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  };
+};
+
+/**
+ * Keep a dhive client pointed at the best nodes. Returns an unregister
+ * function.
+ */
+export const registerClient = (client) => {
+  clients.add(client);
+  applyToClients();
+  return () => clients.delete(client);
+};
+
+/**
+ * Subscribe to node status changes. Returns an unsubscribe function.
+ */
+export const subscribeNodeStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  DEFAULT_NODES,
+  DEFAULT_CHECK_INTERVAL_MS,
+  getOrderedNodes,
+  getNodeStatus,
+  checkNodes,
+  validateNodeUrl,
+  testNode,
+  setNodes,
+  restoreDefaultNodes,
+  startMonitoring,
+  registerClient,
+  subscribeNodeStatus
+};
@@ -0,0 +1,245 @@
+import axios from 'axios';
+import { getAccountItem, setAccountItem } from './AccountUtils';
+
+/**
+ * OAuth2 (authorization code + PKCE) login against a HiveSigner-compatible
+ * provider. Point REACT_APP_HIVESIGNER_URL at a local stub server
+ * (`npm run stub:hivesigner`) to test the flow without the real service.
+ */
+
+export const OAUTH_CONFIG = {
+  baseUrl: (process.env.REACT_APP_HIVESIGNER_URL || 'https://hivesigner.com').replace(/\/$/, ''),
+  clientId: process.env.REACT_APP_HIVESIGNER_CLIENT_ID || 'hivesocial',
+  scope: process.env.REACT_APP_HIVESIGNER_SCOPE || 'login,vote,comment,custom_json',
+  callbackPath: '/oauth-callback'
+};
+
+const PENDING_LOGIN_KEY = 'hivesocial_oauth_pending';
+// Pending logins are abandoned after ten minutes
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000;
+// Refresh tokens a minute before they actually expire
+const EXPIRY_SKEW_MS = 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Base64url-encode bytes without padding
+ */
+const base64UrlEncode = (bytes) => {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const randomString = (byteLength = 32) => {
+  return base64UrlEncode(window.crypto.getRandomValues(new Uint8Array(byteLength)));
+};
+
+const getRedirectUri = () => `${window.location.origin}${OAUTH_CONFIG.callbackPath}`;
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ */
+export const createPkcePair = async () => {
+  const verifier = randomString(48);
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64UrlEncode(digest) };
+};
+
+/**
+ * Normalize a token endpoint response into what we store per account
+ */
+const toTokenSet = (data) => ({
+  username: data.username,
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token || null,
+  expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null
+});
+
+const postToTokenEndpoint = async (params) => {
+  const body = new URLSearchParams({ client_id: OAUTH_CONFIG.clientId, ...params });
+  const response = await axios.post(`${OAUTH_CONFIG.baseUrl}/api/oauth2/token`, body, {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return response.data;
+};
+
+/**
+ * Read the error message from a failed provider request
+ */
+const getProviderError = (err) => {
+  const data = err.response?.data;
+  return data?.error_description || data?.error || err.message || 'Unknown error';
+};
+
+/**
+ * Start the login by redirecting to the provider's authorize page
+ */
+export const startOAuthLogin = async (redirectTo = '/') => {
+  const state = randomString(16);
+  const { verifier, challenge } = await createPkcePair();
+
+  sessionStorage.setItem(PENDING_LOGIN_KEY, JSON.stringify({
+    state,
+    verifier,
+    redirectTo,
+    createdAt: Date.now()
+  }));
+
+  const params = new URLSearchParams({
+    client_id: OAUTH_CONFIG.clientId,
+    redirect_uri: getRedirectUri(),
+    response_type: 'code',
+    scope: OAUTH_CONFIG.scope,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  });
+
+  window.location.assign(`${OAUTH_CONFIG.baseUrl}/oauth2/authorize?${params.toString()}`);
+};
+
+/**
+ * Finish the login on the callback page: check the state parameter and
+ * exchange the authorization code for tokens
+ */
+export const completeOAuthLogin = async (search) => {
+  const params = new URLSearchParams(search);
+
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_LOGIN_KEY) || 'null');
+  } catch (e) {
+    pending = null;
+  }
+  sessionStorage.removeItem(PENDING_LOGIN_KEY);
+
+  if (params.get('error')) {
+    return { success: false, error: params.get('error_description') || params.get('error') };
+  }
+
+  if (!pending || !params.get('state') || params.get('state') !== pending.state) {
+    return { success: false, error: 'Login response did not match the login request. Please try again.' };
+  }
+
+  if (Date.now() - pending.createdAt > PENDING_LOGIN_TTL_MS) {
+    return { success: false, error: 'The login request expired. Please try again.' };
+  }
+
+  const code = params.get('code');
+  if (!code) {
+    return { success: false, error: 'No authorization code was returned.' };
+  }
+
+  try {
+    const data = await postToTokenEndpoint({
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: pending.verifier,
+      redirect_uri: getRedirectUri()
+    });
+
+    if (!data.access_token || !data.username) {
+      return { success: false, error: 'The provider returned an incomplete token response.' };
+    }
+
+    return { success: true, redirectTo: pending.redirectTo || '/', ...toTokenSet(data) };
+  } catch (err) {
+    console.error('Error exchanging authorization code:', err);
+    return { success: false, error: `Token exchange failed: ${getProviderError(err)}` };
+  }
+};
+
+/**
+ * Get a new access token with a refresh token. On failure `rejected`
+ * tells whether the provider refused the grant, which ends the session,
+ * as opposed to the provider being unreachable or failing.
+ */
+export const refreshAccessToken = async (refreshToken) => {
+  if (!refreshToken) {
+    return { success: false, rejected: true, error: 'No refresh token available' };
+  }
+
+  try {
+    const data = await postToTokenEndpoint({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    });
+    return { success: true, ...toTokenSet(data) };
+  } catch (err) {
+    console.error('Error refreshing access token:', err);
+    const status = err.response?.status;
+    const rejected = status === 400 || status === 401 || err.response?.data?.error === 'invalid_grant';
+    return { success: false, rejected, error: getProviderError(err) };
+  }
+};
+
+/**
+ * Revoke an access token at the provider
+ */
+export const revokeAccessToken = async (accessToken) => {
+  if (!accessToken) {
+    return { success: true };
+  }
+
+  try {
+    await axios.post(
+      `${OAUTH_CONFIG.baseUrl}/api/oauth2/token/revoke`,
+      new URLSearchParams({ token: accessToken, client_id: OAUTH_CONFIG.clientId }),
+      { headers: { Authorization: accessToken, 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+    return { success: true };
+  } catch (err) {
+    console.error('Error revoking access token:', err);
+    return { success: false, error: getProviderError(err) };
+  }
+};
+
+/**
+ * Whether a token expiry timestamp has passed (or is about to)
+ */
+export const isTokenExpired = (expiresAt) => {
+  return Boolean(expiresAt) && Date.now() >= expiresAt - EXPIRY_SKEW_MS;
+};
+
+/**
+ * Milliseconds until a token should be refreshed, capped to what
+ * setTimeout can wait for
+ */
+export const msUntilRefresh = (expiresAt) => {
+  if (!expiresAt) return null;
+  return Math.min(MAX_TIMER_MS, Math.max(0, expiresAt - EXPIRY_SKEW_MS - Date.now()));
+};
+
+/**
+ * Read the stored OAuth tokens of an account
+ */
+export const loadTokenSet = (username) => ({
+  username,
+  accessToken: getAccountItem(username, 'token'),
+  refreshToken: getAccountItem(username, 'refresh_token'),
+  expiresAt: getAccountItem(username, 'token_expiry')
+});
+
+/**
+ * Store the OAuth tokens of an account
+ */
+export const saveTokenSet = (username, { accessToken, refreshToken, expiresAt }) => {
+  setAccountItem(username, 'token', accessToken);
+  setAccountItem(username, 'token_expiry', expiresAt);
+  // Providers may keep the same refresh token and omit it from the response
+  if (refreshToken) {
+    setAccountItem(username, 'refresh_token', refreshToken);
+  }
+};
+
+export default {
+  OAUTH_CONFIG,
+  createPkcePair,
+  startOAuthLogin,
+  completeOAuthLogin,
+  refreshAccessToken,
+  revokeAccessToken,
+  isTokenExpired,
+  msUntilRefresh,
+  loadTokenSet,
+  saveTokenSet
+};
@@ -0,0 +1,207 @@
+/**
+ * Which authority every Hive operation needs, and plain-language
+ * descriptions of operations for the signing confirmation.
+ *
+ * This table is the only place that decides which key is requested for a
+ * transaction. Operations that are not listed are never signed, and owner
+ * operations are always refused: HiveSocial never asks for an owner key.
+ */
+
+export const AUTHORITY_POSTING = 'posting';
+export const AUTHORITY_ACTIVE = 'active';
+export const AUTHORITY_OWNER = 'owner';
+
+// Stronger authorities come later
+const AUTHORITY_RANK = [AUTHORITY_POSTING, AUTHORITY_ACTIVE, AUTHORITY_OWNER];
+
+export const OPERATION_AUTHORITIES = {
+  vote: AUTHORITY_POSTING,
+  comment: AUTHORITY_POSTING,
+  comment_options: AUTHORITY_POSTING,
+  delete_comment: AUTHORITY_POSTING,
+  claim_reward_balance: AUTHORITY_POSTING,
+  // custom_json and account updates depend on their payload, see below
+  custom_json: AUTHORITY_POSTING,
+  account_update2: AUTHORITY_POSTING,
+  account_update: AUTHORITY_ACTIVE,
+  transfer: AUTHORITY_ACTIVE,
+  recurrent_transfer: AUTHORITY_ACTIVE,
+  transfer_to_vesting: AUTHORITY_ACTIVE,
+  withdraw_vesting: AUTHORITY_ACTIVE,
+  set_withdraw_vesting_route: AUTHORITY_ACTIVE,
+  delegate_vesting_shares: AUTHORITY_ACTIVE,
+  transfer_to_savings: AUTHORITY_ACTIVE,
+  transfer_from_savings: AUTHORITY_ACTIVE,
+  cancel_transfer_from_savings: AUTHORITY_ACTIVE,
+  convert: AUTHORITY_ACTIVE,
+  collateralized_convert: AUTHORITY_ACTIVE,
+  limit_order_create: AUTHORITY_ACTIVE,
+  limit_order_cancel: AUTHORITY_ACTIVE,
+  account_witness_vote: AUTHORITY_ACTIVE,
+  account_witness_proxy: AUTHORITY_ACTIVE,
+  update_proposal_votes: AUTHORITY_ACTIVE,
+  claim_account: AUTHORITY_ACTIVE,
+  create_claimed_account: AUTHORITY_ACTIVE,
+  account_create: AUTHORITY_ACTIVE,
+  change_recovery_account: AUTHORITY_OWNER,
+  recover_account: AUTHORITY_OWNER,
+  decline_voting_rights: AUTHORITY_OWNER
+};
+
+/**
+ * Get the authority a single [name, payload] operation needs, or null when
+ * the operation is unknown
+ */
+export const getOperationAuthority = ([name, payload = {}]) => {
+  if (name === 'custom_json') {
+    return payload.required_auths?.length > 0 ? AUTHORITY_ACTIVE : AUTHORITY_POSTING;
+  }
+
+  if (name === 'account_update' || name === 'account_update2') {
+    if (payload.owner) return AUTHORITY_OWNER;
+    if (name === 'account_update') return AUTHORITY_ACTIVE;
+    // account_update2 only needs posting when it just changes the posting metadata
+    return payload.active || payload.posting || payload.memo_key || payload.json_metadata
+      ? AUTHORITY_ACTIVE
+      : AUTHORITY_POSTING;
+  }
+
+  return OPERATION_AUTHORITIES[name] || null;
+};
+
+/**
+ * Get the authority needed to sign a whole transaction
+ */
+export const getRequiredAuthority = (operations) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { success: false, error: 'There is nothing to sign.' };
+  }
+
+  let required = AUTHORITY_POSTING;
+  for (const operation of operations) {
+    const authority = getOperationAuthority(operation);
+
+    if (!authority) {
+      return {
+        success: false,
+        error: `HiveSocial does not know which key the "${operation[0]}" operation needs, so it will not sign it.`
+      };
+    }
+
+    if (AUTHORITY_RANK.indexOf(authority) > AUTHORITY_RANK.indexOf(required)) {
+      required = authority;
+    }
+  }
+
+  if (required === AUTHORITY_OWNER) {
+    return {
+      success: false,
+      authority: AUTHORITY_OWNER,
+      error: 'This transaction needs your owner key. HiveSocial never uses owner keys; please use a dedicated wallet for it.'
+    };
+  }
+
+  return { success: true, authority: required };
+};
+
+const formatWeight = (weight) => `${Math.abs(weight) / 100}%`;
+
+/**
+ * Describe follow-plugin and other custom_json operations
+ */
+const describeCustomJson = (payload) => {
+  let data = null;
+  try {
+    data = JSON.parse(payload.json);
+  } catch (e) {
+    data = null;
+  }
+
+  if (payload.id === 'follow' && Array.isArray(data)) {
+    const [action, details = {}] = data;
+
+    if (action === 'follow') {
+      const what = details.what || [];
+      if (what.includes('blog')) return `Follow @${details.following}`;
+      if (what.includes('ignore')) return `Mute @${details.following}`;
+      return `Unfollow @${details.following}`;
+    }
+
+    if (action === 'reblog') {
+      return `Reblog @${details.author}/${details.permlink}`;
+    }
+  }
+
+  return `Send custom "${payload.id}" data`;
+};
+
+/**
+ * Describe a single [name, payload] operation in plain language
+ */
+export const describeOperation = ([name, payload = {}]) => {
+  switch (name) {
+    case 'vote': {
+      const target = `@${payload.author}/${payload.permlink}`;
+      if (payload.weight > 0) return `Upvote ${target} (${formatWeight(payload.weight)})`;
+      if (payload.weight < 0) return `Downvote ${target} (${formatWeight(payload.weight)})`;
+      return `Remove your vote on ${target}`;
+    }
+    case 'comment':
+      return payload.parent_author
+        ? `Reply to @${payload.parent_author}/${payload.parent_permlink}`
+        : `Publish the post "${payload.title || payload.permlink}"`;
+    case 'comment_options':
+      return `Set payout options for @${payload.author}/${payload.permlink}`;
+    case 'delete_comment':
+      return `Delete @${payload.author}/${payload.permlink}`;
+    case 'custom_json':
+      return describeCustomJson(payload);
+    case 'claim_reward_balance':
+      return `Claim rewards (${[payload.reward_hive, payload.reward_hbd, payload.reward_vests].filter(Boolean).join(', ')})`;
+    case 'transfer':
+      return `Send ${payload.amount} to @${payload.to}${payload.memo ? ` with the memo "${payload.memo}"` : ''}`;
+    case 'recurrent_transfer':
+      return `Send ${payload.amount} to @${payload.to} every ${payload.recurrence} hours, ${payload.executions} times`;
+    case 'transfer_to_vesting':
+      return `Power up ${payload.amount}${payload.to && payload.to !== payload.from ? ` for @${payload.to}` : ''}`;
+    case 'withdraw_vesting':
+      return parseFloat(payload.vesting_shares) === 0
+        ? 'Stop your power down'
+        : `Power down ${payload.vesting_shares}`;
+    case 'delegate_vesting_shares':
+      return parseFloat(payload.vesting_shares) === 0
+        ? `Remove your delegation to @${payload.delegatee}`
+        : `Delegate ${payload.vesting_shares} to @${payload.delegatee}`;
+    case 'transfer_to_savings':
+      return `Move ${payload.amount} to savings`;
+    case 'transfer_from_savings':
+      return `Withdraw ${payload.amount} from savings`;
+    case 'account_witness_vote':
+      return `${payload.approve ? 'Vote for' : 'Remove your vote for'} witness @${payload.witness}`;
+    case 'account_witness_proxy':
+      return payload.proxy ? `Set @${payload.proxy} as your witness proxy` : 'Remove your witness proxy';
+    case 'account_update':
+    case 'account_update2':
+      return payload.active || payload.posting || payload.owner || payload.memo_key
+        ? `Change the keys of @${payload.account}`
+        : `Update the profile of @${payload.account}`;
+    default:
+      return `Run the "${name.replace(/_/g, ' ')}" operation`;
+  }
+};
+
+/**
+ * Describe every operation of a transaction
+ */
+export const describeOperations = (operations) => operations.map(describeOperation);
+
+export default {
+  AUTHORITY_POSTING,
+  AUTHORITY_ACTIVE,
+  AUTHORITY_OWNER,
+  OPERATION_AUTHORITIES,
+  getOperationAuthority,
+  getRequiredAuthority,
+  describeOperation,
+  describeOperations
+};
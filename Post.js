@@ -1,16 +1,23 @@
-import React, { memo, useState, useContext, useRef } from 'react';
+import React, { memo, useState, useContext, useRef, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { HiveContext } from '../App';
-import { Avatar, getPostImageUrl } from '../utils/ImageUtils';
+import { Avatar, ProxiedImage, getPostImage } from '../utils/ImageUtils';
 import { likePost, commentOnPost } from '../utils/SocialUtils';
+import { fetchBridge, subscribeBridge } from '../utils/BridgeUtils';
+import { markdownToText } from '../utils/MarkdownUtils';
+import MarkdownContent from './MarkdownContent';
 
 const Post = memo(({ post, priority, showComments = false }) => {
-  const { client, user, isKeychain } = useContext(HiveContext);
-  const [isVoting, setIsVoting] = useState(false);
-  const [voteError, setVoteError] = useState('');
-  const [hasVoted, setHasVoted] = useState(
-    post.active_votes?.some(vote => user && vote.voter === user.name)
+  const { client, user, signer } = useContext(HiveContext);
+  // Vote status: idle, pending, confirmed or failed
+  const [voteStatus, setVoteStatus] = useState({ state: 'idle' });
+  // Account that just voted, until the post's votes are refreshed
+  const [justVotedBy, setJustVotedBy] = useState(null);
+  const votedOnChain = useMemo(
+    () => Boolean(user && post.active_votes?.some(vote => vote.voter === user)),
+    [user, post.active_votes]
   );
+  const hasVoted = votedOnChain || (Boolean(user) && justVotedBy === user);
   const [showCommentForm, setShowCommentForm] = useState(false);
   const [commentText, setCommentText] = useState('');
   const [isCommenting, setIsCommenting] = useState(false);
@@ -44,26 +51,24 @@ const Post = memo(({ post, priority, showComments = false }) => {
 
   // Handle voting on posts
   const handleVote = async () => {
-    if (!user || !isKeychain) {
-      alert('Please login with Hive Keychain to vote');
+    if (!user) {
+      alert('Please login to vote');
       return;
     }
     
-    setIsVoting(true);
-    setVoteError('');
+    setVoteStatus({ state: 'pending' });
     
     try {
-      const result = await likePost(client, user.name, post.author, post.permlink);
+      const result = await likePost(signer, user, post.author, post.permlink);
       
       if (result.success) {
-        setHasVoted(true);
+        setJustVotedBy(user);
+        setVoteStatus({ state: 'confirmed', txId: result.txId });
       } else {
-        setVoteError(result.error || 'Failed to vote');
+        setVoteStatus({ state: 'failed', error: result.error || 'Failed to vote' });
       }
     } catch (err) {
-      setVoteError('Error voting: ' + err.message);
-    } finally {
-      setIsVoting(false);
+      setVoteStatus({ state: 'failed', error: 'Error voting: ' + err.message });
     }
   };
 
@@ -71,8 +76,8 @@ const Post = memo(({ post, priority, showComments = false }) => {
   const handleComment = async (e) => {
     e.preventDefault();
     
-    if (!user || !isKeychain) {
-      alert('Please login with Hive Keychain to comment');
+    if (!user) {
+      alert('Please login to comment');
       return;
     }
     
@@ -84,39 +89,55 @@ const Post = memo(({ post, priority, showComments = false }) => {
     setIsCommenting(true);
     setCommentError('');
     
+    // Show the comment straight away, marked as pending until it is broadcast
+    const localId = `pending-${Date.now()}`;
+    const newComment = {
+      author: user,
+      permlink: localId,
+      body: commentText,
+      created: new Date().toISOString().replace('Z', ''),
+      net_votes: 0,
+      pending_payout_value: '0.000 HBD',
+      status: 'pending'
+    };
+    setComments(prevComments => [newComment, ...prevComments]);
+    
+    const updateComment = (changes) => {
+      setComments(prevComments => prevComments.map(comment => (
+        comment.permlink === localId ? { ...comment, ...changes } : comment
+      )));
+    };
+    
     try {
       const result = await commentOnPost(
-        client, 
-        user.name, 
+        signer, 
+        user, 
         post.author, 
         post.permlink, 
         commentText
       );
       
       if (result.success) {
-        // Add the new comment to the list
-        const newComment = {
-          author: user.name,
-          permlink: result.permlink,
-          body: commentText,
-          created: new Date().toISOString().replace('Z', ''),
-          net_votes: 0,
-          pending_payout_value: '0.000 HBD'
-        };
-        
-        setComments(prevComments => [newComment, ...prevComments]);
+        updateComment({ permlink: result.permlink, status: 'confirmed', txId: result.txId });
         setCommentText('');
         setShowCommentForm(false);
       } else {
+        updateComment({ status: 'failed', error: result.error });
         setCommentError(result.error || 'Failed to post comment');
       }
     } catch (err) {
+      updateComment({ status: 'failed', error: err.message });
       setCommentError('Error commenting: ' + err.message);
     } finally {
       setIsCommenting(false);
     }
   };
 
+  // Remove a comment that failed to broadcast
+  const dismissComment = (permlink) => {
+    setComments(prevComments => prevComments.filter(comment => comment.permlink !== permlink));
+  };
+
   // Toggle comment form
   const toggleCommentForm = () => {
     setShowCommentForm(prev => !prev);
@@ -137,10 +158,12 @@ const Post = memo(({ post, priority, showComments = false }) => {
     setLoadingComments(true);
     
     try {
-      const result = await client.database.call('get_content_replies', [post.author, post.permlink]);
-      if (Array.isArray(result)) {
-        setComments(result);
-      }
+      const { comments: result } = await fetchBridge(client, 'get_discussion', {
+        author: post.author,
+        permlink: post.permlink,
+        observer: user || ''
+      });
+      setComments(result);
     } catch (err) {
       console.error('Error loading comments:', err);
     } finally {
@@ -159,48 +182,8 @@ const Post = memo(({ post, priority, showComments = false }) => {
       : totalPayout + curatorPayout;
   };
 
-  // Process post content for preview
-  const getPostPreview = () => {
-    // Simple text processing without external libraries
-    let preview = post.body
-      .replace(/!\[.*?\]\(.*?\)/g, '[Image]') // Replace images
-      .replace(/\[.*?\]\(.*?\)/g, '$1')       // Replace links
-      .replace(/<\/?[^>]+(>|$)/g, '')         // Remove HTML tags
-      .replace(/#+\s/g, '')                   // Remove heading markers
-      .replace(/\*\*/g, '')                   // Remove bold markers
-      .trim();
-    
-    // Limit to ~200 characters
-    if (preview.length > 200) {
-      preview = preview.substring(0, 200) + '...';
-    }
-    
-    return preview;
-  };
-
-  // Extract media from post
-  const getPostMedia = () => {
-    try {
-      // Try to extract image from post metadata
-      if (post.json_metadata) {
-        const metadata = JSON.parse(post.json_metadata);
-        if (metadata.image && metadata.image.length > 0) {
-          return metadata.image[0];
-        }
-      }
-      
-      // Try to extract first image from post body
-      const imageRegex = /!\[.*?\]\((.*?)\)/;
-      const match = post.body.match(imageRegex);
-      if (match && match[1]) {
-        return match[1];
-      }
-      
-      return null;
-    } catch (e) {
-      return null;
-    }
-  };
+  // Plain text of the rendered body, limited to ~200 characters
+  const getPostPreview = () => markdownToText(post.body, 200);
 
   // If showComments is true, load comments when the component mounts
   React.useEffect(() => {
@@ -209,9 +192,41 @@ const Post = memo(({ post, priority, showComments = false }) => {
     }
   }, [showComments]);
 
+  // Pick up refreshed replies, keeping our own comments that the node
+  // does not return yet
+  React.useEffect(() => {
+    if (!showComments || !client) return;
+
+    const params = { author: post.author, permlink: post.permlink, observer: user || '' };
+    return subscribeBridge(client, 'get_discussion', params, ({ comments: result }) => {
+      setComments(prevComments => [
+        ...prevComments.filter(comment => (
+          comment.status && !result.some(reply => reply.permlink === comment.permlink)
+        )),
+        ...result
+      ]);
+    });
+  }, [showComments, client, user, post.author, post.permlink]);
+
   return (
-    <article className="bg-white rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow duration-200">
-      <header className="flex items-center mb-4">
+    <article className={`bg-white rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow duration-200 ${post.isMuted ? 'opacity-60' : ''}`}>
+      {post.rebloggedBy?.length > 0 && (
+        <div className="flex items-center text-sm text-gray-500 mb-2">
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+          </svg>
+          <span>
+            Reblogged by{' '}
+            {post.rebloggedBy.map((account, index) => (
+              <React.Fragment key={account}>
+                {index > 0 && ', '}
+                <Link to={`/profile/${account}`} className="hover:text-blue-600">@{account}</Link>
+              </React.Fragment>
+            ))}
+          </span>
+        </div>
+      )}
+      <header className="flex flex-wrap items-center mb-4">
         <Link
           to={`/profile/${post.author}`}
           className="flex items-center group"
@@ -221,6 +236,19 @@ const Post = memo(({ post, priority, showComments = false }) => {
             @{post.author}
           </span>
         </Link>
+        {(post.authorRole && post.authorRole !== 'guest') || post.authorTitle ? (
+          <span className="ml-2 px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">
+            {[post.authorRole !== 'guest' && post.authorRole, post.authorTitle].filter(Boolean).join(' · ')}
+          </span>
+        ) : null}
+        {post.communityTitle && (
+          <>
+            <span className="text-gray-500 mx-2">in</span>
+            <Link to={`/trending/${post.community}`} className="text-gray-700 font-medium hover:text-blue-600">
+              {post.communityTitle}
+            </Link>
+          </>
+        )}
         <span className="text-gray-500 mx-2">•</span>
         <time 
           className="text-gray-500" 
@@ -229,6 +257,9 @@ const Post = memo(({ post, priority, showComments = false }) => {
         >
           {formatDate(post.created)}
         </time>
+        {post.isMuted && (
+          <span className="ml-2 px-2 py-0.5 text-xs rounded bg-red-100 text-red-700">Muted</span>
+        )}
       </header>
       
       <Link to={`/@${post.author}/${post.permlink}`} className="block hover:no-underline">
@@ -238,13 +269,14 @@ const Post = memo(({ post, priority, showComments = false }) => {
         
         {/* Post media */}
         {(() => {
-          const mediaUrl = getPostMedia();
+          const mediaUrl = getPostImage(post);
           if (mediaUrl) {
             return (
               <div className="mb-4 overflow-hidden rounded-lg">
-                <img 
+                <ProxiedImage 
                   src={mediaUrl} 
                   alt={post.title}
+                  loading="lazy"
                   className="w-full h-48 object-cover hover:scale-105 transition-transform duration-300"
                   onError={(e) => {
                     e.target.style.display = 'none';
@@ -267,12 +299,13 @@ const Post = memo(({ post, priority, showComments = false }) => {
             try {
               const metadata = JSON.parse(post.json_metadata);
               return metadata.tags?.slice(0, 3).map(tag => (
-                <span 
+                <Link 
                   key={tag} 
-                  className="bg-gray-100 text-gray-600 px-2 py-1 rounded-full text-xs"
+                  to={`/trending/${tag}`}
+                  className="bg-gray-100 text-gray-600 px-2 py-1 rounded-full text-xs hover:bg-gray-200"
                 >
                   #{tag}
-                </span>
+                </Link>
               ));
             } catch (e) {
               return null;
@@ -285,7 +318,7 @@ const Post = memo(({ post, priority, showComments = false }) => {
         <div className="flex items-center space-x-6">
           <button 
             onClick={handleVote}
-            disabled={isVoting || !user || hasVoted}
+            disabled={voteStatus.state === 'pending' || !user || hasVoted}
             className={`flex items-center space-x-1 ${
               hasVoted ? 'text-blue-600' : 'hover:text-blue-600'
             } transition-colors disabled:opacity-50`}
@@ -294,7 +327,7 @@ const Post = memo(({ post, priority, showComments = false }) => {
             <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
             </svg>
-            <span>{post.net_votes}</span>
+            <span>{post.net_votes + (voteStatus.state === 'confirmed' ? 1 : 0)}</span>
           </button>
           
           <button 
@@ -320,9 +353,23 @@ const Post = memo(({ post, priority, showComments = false }) => {
         </div>
       </footer>
       
-      {voteError && (
+      {/* Vote status */}
+      {voteStatus.state === 'pending' && (
+        <div className="mt-3 text-blue-600 text-sm">
+          Broadcasting vote...
+        </div>
+      )}
+      {voteStatus.state === 'confirmed' && (
+        <div className="mt-3 text-green-600 text-sm">
+          Vote broadcast{voteStatus.txId ? ` (tx ${voteStatus.txId.slice(0, 8)})` : ''}
+        </div>
+      )}
+      {voteStatus.state === 'failed' && (
         <div className="mt-3 text-red-500 text-sm">
-          {voteError}
+          {voteStatus.error}
+          <button onClick={handleVote} className="ml-2 underline hover:text-red-700">
+            Retry
+          </button>
         </div>
       )}
       
@@ -396,10 +443,29 @@ const Post = memo(({ post, priority, showComments = false }) => {
                     <time className="text-gray-500 text-sm">
                       {formatDate(comment.created)}
                     </time>
+                    {comment.status === 'pending' && (
+                      <span className="ml-2 bg-yellow-100 text-yellow-700 px-2 py-0.5 rounded-full text-xs">
+                        Pending
+                      </span>
+                    )}
+                    {comment.status === 'failed' && (
+                      <span className="ml-2 bg-red-100 text-red-700 px-2 py-0.5 rounded-full text-xs">
+                        Not published
+                      </span>
+                    )}
                   </div>
-                  <div className="text-gray-700">
-                    {comment.body}
-                  </div>
+                  <MarkdownContent
+                    body={comment.body}
+                    className={`text-sm ${comment.status === 'failed' ? 'opacity-50' : ''}`}
+                  />
+                  {comment.status === 'failed' && (
+                    <div className="text-red-500 text-sm mt-1">
+                      {comment.error}
+                      <button onClick={() => dismissComment(comment.permlink)} className="ml-2 underline hover:text-red-700">
+                        Dismiss
+                      </button>
+                    </div>
+                  )}
                   <div className="flex items-center mt-2 text-sm text-gray-500">
                     <button className="flex items-center space-x-1 hover:text-blue-600">
                       <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
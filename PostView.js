@@ -2,10 +2,12 @@ import React, { useState, useEffect, useContext } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { HiveContext } from '../App';
 import { Avatar } from '../utils/ImageUtils';
+import { fetchBridge, subscribeBridge } from '../utils/BridgeUtils';
+import MarkdownContent from './MarkdownContent';
 
 const PostView = () => {
   const { author, permlink } = useParams();
-  const { client, user, isKeychain } = useContext(HiveContext);
+  const { client, user, broadcast } = useContext(HiveContext);
   
   const [post, setPost] = useState(null);
   const [comments, setComments] = useState([]);
@@ -23,8 +25,11 @@ const PostView = () => {
       setError('');
       
       try {
-        // Fetch the post content
-        const postData = await client.database.call('get_content', [author, permlink]);
+        // Fetch the post and its thread together, they go out as one batch
+        const [postData, discussion] = await Promise.all([
+          fetchBridge(client, 'get_post', { author, permlink, observer: user || '' }),
+          fetchBridge(client, 'get_discussion', { author, permlink, observer: user || '' })
+        ]);
         
         if (postData && postData.author) {
           setPost(postData);
@@ -38,9 +43,7 @@ const PostView = () => {
             }
           }
           
-          // Fetch comments
-          const commentsData = await client.database.call('get_content_replies', [author, permlink]);
-          setComments(commentsData);
+          setComments(discussion.comments);
         } else {
           setError('Post not found');
         }
@@ -56,53 +59,72 @@ const PostView = () => {
       fetchPost();
     }
   }, [client, author, permlink, user]);
+
+  // Show refreshed data, e.g. the new reply after commenting
+  useEffect(() => {
+    if (!client || !author || !permlink) return;
+
+    const params = { author, permlink, observer: user || '' };
+    const unsubscribePost = subscribeBridge(client, 'get_post', params, (postData) => {
+      if (postData && postData.author) setPost(postData);
+    });
+    const unsubscribeComments = subscribeBridge(client, 'get_discussion', params, (discussion) => {
+      setComments(discussion.comments);
+    });
+
+    return () => {
+      unsubscribePost();
+      unsubscribeComments();
+    };
+  }, [client, author, permlink, user]);
   
   const handleVote = async () => {
-    if (!user || !isKeychain) {
-      setError('Please login with Hive Keychain to vote');
+    if (!user) {
+      setError('Please login to vote');
       return;
     }
     
     try {
-      window.hive_keychain.requestVote(
-        user,
-        permlink,
-        author,
-        voted ? 0 : voteWeight, // Toggle vote
-        (response) => {
-          if (response.success) {
-            setVoted(!voted);
-            
-            // Update the post to reflect the new vote
-            setPost(prevPost => {
-              if (!prevPost) return null;
-              
-              // Create a copy of active_votes
-              let newActiveVotes = [...prevPost.active_votes];
-              
-              if (!voted) {
-                // Add the vote
-                newActiveVotes.push({
-                  voter: user,
-                  percent: voteWeight,
-                  time: new Date().toISOString()
-                });
-              } else {
-                // Remove the vote
-                newActiveVotes = newActiveVotes.filter(vote => vote.voter !== user);
-              }
-              
-              return {
-                ...prevPost,
-                active_votes: newActiveVotes,
-                net_votes: voted ? prevPost.net_votes - 1 : prevPost.net_votes + 1
-              };
+      const result = await broadcast([
+        ['vote', {
+          voter: user,
+          author,
+          permlink,
+          weight: voted ? 0 : voteWeight // Toggle vote
+        }]
+      ], 'posting');
+
+      if (result.success) {
+        setVoted(!voted);
+        
+        // Update the post to reflect the new vote
+        setPost(prevPost => {
+          if (!prevPost) return null;
+          
+          // Create a copy of active_votes
+          let newActiveVotes = [...prevPost.active_votes];
+          
+          if (!voted) {
+            // Add the vote
+            newActiveVotes.push({
+              voter: user,
+              percent: voteWeight,
+              time: new Date().toISOString()
             });
           } else {
-            setError(`Voting failed: ${response.message}`);
+            // Remove the vote
+            newActiveVotes = newActiveVotes.filter(vote => vote.voter !== user);
           }
-        }
-      );
+          
+          return {
+            ...prevPost,
+            active_votes: newActiveVotes,
+            net_votes: voted ? prevPost.net_votes - 1 : prevPost.net_votes + 1
+          };
+        });
+      } else {
+        setError(`Voting failed: ${result.error}`);
+      }
     } catch (err) {
       console.error('Error voting:', err);
       setError(`Voting failed: ${err.message || 'Unknown error'}`);
@@ -117,8 +139,8 @@ const PostView = () => {
       return;
     }
     
-    if (!user || !isKeychain) {
-      setCommentError('Please login with Hive Keychain to comment');
+    if (!user) {
+      setCommentError('Please login to comment');
       return;
     }
     
@@ -135,40 +157,40 @@ const PostView = () => {
         format: 'markdown'
       };
       
-      window.hive_keychain.requestComment(
-        user,
-        permlink,
-        author,
-        commentPermlink,
-        '',
-        commentBody,
-        JSON.stringify(jsonMetadata),
-        (response) => {
-          setSubmittingComment(false);
-          
-          if (response.success) {
-            // Clear comment input
-            setCommentBody('');
-            
-            // Add the new comment to the list
-            const newComment = {
-              author: user,
-              permlink: commentPermlink,
-              body: commentBody,
-              created: new Date().toISOString(),
-              net_votes: 0,
-              pending_payout_value: '0.000 HBD'
-            };
-            
-            setComments(prevComments => [newComment, ...prevComments]);
-          } else {
-            setCommentError(`Comment failed: ${response.message}`);
-          }
-        }
-      );
+      const result = await broadcast([
+        ['comment', {
+          parent_author: author,
+          parent_permlink: permlink,
+          author: user,
+          permlink: commentPermlink,
+          title: '',
+          body: commentBody,
+          json_metadata: JSON.stringify(jsonMetadata)
+        }]
+      ], 'posting');
+      
+      if (result.success) {
+        // Clear comment input
+        setCommentBody('');
+        
+        // Add the new comment to the list
+        const newComment = {
+          author: user,
+          permlink: commentPermlink,
+          body: commentBody,
+          created: new Date().toISOString(),
+          net_votes: 0,
+          pending_payout_value: '0.000 HBD'
+        };
+        
+        setComments(prevComments => [newComment, ...prevComments]);
+      } else {
+        setCommentError(`Comment failed: ${result.error}`);
+      }
     } catch (err) {
       console.error('Error commenting:', err);
       setCommentError(`Comment failed: ${err.message || 'Unknown error'}`);
+    } finally {
       setSubmittingComment(false);
     }
   };
@@ -249,47 +271,32 @@ const PostView = () => {
           <Avatar username={post.author} size="md" className="mr-2" />
           <span className="font-medium text-gray-800">@{post.author}</span>
         </Link>
+        {post.communityTitle && (
+          <>
+            <span className="mx-2 text-gray-500">in</span>
+            <Link to={`/trending/${post.community}`} className="font-medium text-gray-700 hover:text-blue-600">
+              {post.communityTitle}
+            </Link>
+          </>
+        )}
         <span className="mx-2 text-gray-500">•</span>
         <span className="text-gray-500">{formatDate(post.created)}</span>
       </div>
       
       {/* Post content */}
-      <div className="prose max-w-none mb-8">
-        {post.body.split('\n').map((paragraph, idx) => {
-          // Handle image markdown
-          if (paragraph.startsWith('![') && paragraph.includes('](') && paragraph.endsWith(')')) {
-            const altTextMatch = paragraph.match(/!\[(.*?)\]/);
-            const urlMatch = paragraph.match(/\((.*?)\)/);
-            
-            if (urlMatch && urlMatch[1]) {
-              return (
-                <div key={idx} className="my-4">
-                  <img 
-                    src={urlMatch[1]} 
-                    alt={altTextMatch ? altTextMatch[1] : 'Post image'} 
-                    className="max-w-full rounded" 
-                  />
-                </div>
-              );
-            }
-          }
-          
-          // Handle regular paragraphs
-          return paragraph ? (
-            <p key={idx}>{paragraph}</p>
-          ) : (
-            <br key={idx} />
-          );
-        })}
-      </div>
+      <MarkdownContent body={post.body} className="mb-8" />
       
       {/* Tags */}
       {metadata.tags && metadata.tags.length > 0 && (
         <div className="mb-6">
           {metadata.tags.map((tag, index) => (
-            <span key={index} className="inline-block bg-gray-200 rounded-full px-3 py-1 text-sm font-semibold text-gray-700 mr-2 mb-2">
+            <Link
+              key={index}
+              to={`/trending/${tag}`}
+              className="inline-block bg-gray-200 rounded-full px-3 py-1 text-sm font-semibold text-gray-700 mr-2 mb-2 hover:bg-gray-300"
+            >
               #{tag}
-            </span>
+            </Link>
           ))}
         </div>
       )}
@@ -374,15 +381,7 @@ const PostView = () => {
                   <span className="text-gray-500">{formatDate(comment.created)}</span>
                 </div>
                 
-                <div className="prose prose-sm max-w-none">
-                  {comment.body.split('\n').map((paragraph, idx) => (
-                    paragraph ? (
-                      <p key={idx}>{paragraph}</p>
-                    ) : (
-                      <br key={idx} />
-                    )
-                  ))}
-                </div>
+                <MarkdownContent body={comment.body} className="text-sm" />
               </div>
             ))}
           </div>
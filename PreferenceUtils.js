@@ -0,0 +1,49 @@
+import { getAccountItem, setAccountItem } from './AccountUtils';
+
+/**
+ * Per-account display preferences, stored with the account's other data.
+ * Logged out readers get the defaults.
+ */
+
+const PREFERENCES_KEY = 'preferences';
+
+export const DEFAULT_PREFERENCES = {
+  // Show click-to-load placeholders for YouTube, Vimeo... links in posts
+  showEmbeds: true
+};
+
+const listeners = new Set();
+
+/**
+ * An account's preferences, with defaults for anything not set
+ */
+export const getPreferences = (username) => ({
+  ...DEFAULT_PREFERENCES,
+  ...getAccountItem(username, PREFERENCES_KEY, {})
+});
+
+/**
+ * Change one preference of an account
+ */
+export const setPreference = (username, name, value) => {
+  if (!username) return;
+
+  setAccountItem(username, PREFERENCES_KEY, { ...getPreferences(username), [name]: value });
+  listeners.forEach(listener => listener(username));
+};
+
+/**
+ * Be told when an account's preferences change. Returns an unsubscribe
+ * function.
+ */
+export const subscribePreferences = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  DEFAULT_PREFERENCES,
+  getPreferences,
+  setPreference,
+  subscribePreferences
+};
@@ -1,10 +1,43 @@
 import React, { useState, useEffect, useContext, useRef } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useLocation, Link } from 'react-router-dom';
 import { HiveContext } from '../App';
-import { Avatar, getProfileImageUrl, ImageWithFallback } from '../utils/ImageUtils';
+import { Avatar, getProfileImageUrl, ProxiedImage } from '../utils/ImageUtils';
 import { uploadMedia } from '../utils/UploadUtils';
 import FollowButton from './FollowButton';
 import Post from './Post';
+import { fetchQuery, subscribeQuery } from '../utils/QueryCache';
+import { fetchBridge, subscribeBridge } from '../utils/BridgeUtils';
+import useWindowedList from '../hooks/useWindowedList';
+
+// Number of posts shown on the profile
+const POSTS_LIMIT = 10;
+
+const postKey = (post) => `${post.author}/${post.permlink}`;
+
+/**
+ * Turn a Hive account into the profile shown on the page
+ */
+const toProfile = (account) => {
+  let metadata = {};
+  try {
+    metadata = JSON.parse(account.json_metadata || '{}');
+  } catch (e) {
+    console.error('Failed to parse metadata');
+  }
+
+  return {
+    name: account.name,
+    about: metadata.profile?.about || '',
+    website: metadata.profile?.website || '',
+    location: metadata.profile?.location || '',
+    profileImage: metadata.profile?.profile_image || '',
+    created: account.created,
+    postCount: account.post_count,
+    followingCount: account.following_count || 0,
+    followerCount: account.follower_count || 0,
+    reputation: account.reputation
+  };
+};
 
 const Profile = () => {
   const { client, user } = useContext(HiveContext);
@@ -18,6 +51,12 @@ const Profile = () => {
   const [uploadError, setUploadError] = useState('');
   const [uploadedMedia, setUploadedMedia] = useState([]);
   const fileInputRef = useRef(null);
+  const location = useLocation();
+
+  // Only the posts near the viewport are mounted
+  const { containerRef, containerStyle, virtualItems, measureRef } = useWindowedList(posts, postKey, {
+    restoreKey: `profile:${location.key}`
+  });
 
   // Fetch profile and posts when username changes
   useEffect(() => {
@@ -26,47 +65,52 @@ const Profile = () => {
     }
   }, [username, client]);
 
+  // Show refreshed account and posts, e.g. after following or posting
+  useEffect(() => {
+    if (!client || !username) return;
+
+    const unsubscribeAccount = subscribeQuery(client, 'get_accounts', [[username]], (accounts) => {
+      if (accounts[0]) setProfile(toProfile(accounts[0]));
+    });
+    const unsubscribePosts = subscribeBridge(
+      client,
+      'get_account_posts',
+      { sort: 'blog', account: username, limit: POSTS_LIMIT, observer: user || '' },
+      setPosts
+    );
+
+    return () => {
+      unsubscribeAccount();
+      unsubscribePosts();
+    };
+  }, [client, username, user]);
+
   // Fetch profile and posts data
   const fetchProfileAndPosts = async () => {
     setLoading(true);
     setError('');
     
     try {
-      // Fetch account information
-      const accounts = await client.database.getAccounts([username]);
+      // Fetch account information and posts together so they go out in
+      // one batch request
+      const query = {
+        sort: 'blog',
+        account: username,
+        limit: POSTS_LIMIT,
+        observer: user || ''
+      };
+
+      const [accounts, userPosts] = await Promise.all([
+        fetchQuery(client, 'get_accounts', [[username]]),
+        fetchBridge(client, 'get_account_posts', query)
+      ]);
       if (accounts.length === 0) {
         setError('User not found');
         setLoading(false);
         return;
       }
 
-      const account = accounts[0];
-      let metadata = {};
-      try {
-        metadata = JSON.parse(account.json_metadata || '{}');
-      } catch (e) {
-        console.error('Failed to parse metadata');
-      }
-
-      setProfile({
-        name: account.name,
-        about: metadata.profile?.about || '',
-        website: metadata.profile?.website || '',
-        location: metadata.profile?.location || '',
-        created: account.created,
-        postCount: account.post_count,
-        followingCount: account.following_count || 0,
-        followerCount: account.follower_count || 0,
-        reputation: account.reputation
-      });
-
-      // Fetch user's posts
-      const query = {
-        tag: username,
-        limit: 10
-      };
-      
-      const userPosts = await client.database.getDiscussions('blog', query);
+      setProfile(toProfile(accounts[0]));
       setPosts(userPosts);
     } catch (err) {
       console.error('Error fetching profile data:', err);
@@ -175,9 +219,9 @@ const Profile = () => {
           <div className="bg-white rounded-lg shadow-md p-6 mb-8">
             <div className="flex flex-col sm:flex-row items-center sm:items-start gap-6 mb-6">
               <div className="flex-shrink-0">
-                <ImageWithFallback
+                <ProxiedImage
                   src={getProfileImageUrl(profile.name)}
-                  fallbackSrc={`https://ui-avatars.com/api/?name=${profile.name}&background=0D8ABC&color=fff&size=128`}
+                  fallbackSrc={profile.profileImage || `https://ui-avatars.com/api/?name=${profile.name}&background=0D8ABC&color=fff&size=128`}
                   alt={profile.name}
                   className="w-24 h-24 rounded-full border-4 border-white shadow-lg"
                 />
@@ -262,7 +306,7 @@ const Profile = () => {
               >
                 Media
               </button>
-              {user && user.name === username && (
+              {user && user === username && (
                 <button
                   onClick={() => setActiveTab('upload')}
                   className={`flex-1 py-4 px-6 text-center font-medium ${
@@ -280,14 +324,15 @@ const Profile = () => {
             <div className="p-6">
               {/* Posts tab */}
               {activeTab === 'posts' && (
-                <div className="space-y-6">
+                <div>
                   {posts.length > 0 ? (
-                    posts.map((post) => (
-                      <Post 
-                        key={`${post.author}-${post.permlink}`} 
-                        post={post} 
-                      />
-                    ))
+                    <div ref={containerRef} style={containerStyle}>
+                      {virtualItems.map(({ item: post, index, key }) => (
+                        <div key={key} ref={measureRef(key)} className={index > 0 ? 'pt-6' : ''}>
+                          <Post post={post} />
+                        </div>
+                      ))}
+                    </div>
                   ) : (
                     <div className="text-center text-gray-500 py-8">
                       No posts yet
@@ -314,9 +359,12 @@ const Profile = () => {
                           if (metadata.image && metadata.image.length > 0) {
                             return metadata.image.map((img, index) => (
                               <div key={`${post.permlink}-${index}`} className="aspect-square overflow-hidden rounded-lg">
-                                <img 
+                                <ProxiedImage 
                                   src={img} 
                                   alt={post.title} 
+                                  width={320}
+                                  sizes="(min-width: 768px) 300px, 50vw"
+                                  loading="lazy"
                                   className="w-full h-full object-cover hover:scale-105 transition-transform duration-300"
                                   onError={(e) => {
                                     e.target.style.display = 'none';
@@ -340,7 +388,7 @@ const Profile = () => {
               )}
 
               {/* Upload tab */}
-              {activeTab === 'upload' && user && user.name === username && (
+              {activeTab === 'upload' && user && user === username && (
                 <div>
                   <div className="mb-6">
                     <h3 className="text-lg font-medium mb-2">Upload Media</h3>
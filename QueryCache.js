@@ -0,0 +1,249 @@
+import { batchCall } from './RpcBatcher';
+
+/**
+ * Shared cache for Hive API reads.
+ *
+ * Reads go through fetchQuery(client, method, params) with condenser_api
+ * method names, or other APIs' methods with their prefix
+ * ("bridge.get_post"). Identical requests in flight are deduplicated, fresh
+ * results are served from memory, and results past their TTL are served
+ * at once while a fresh copy is fetched in the background
+ * (stale-while-revalidate). Views that want the revalidated data
+ * subscribe to the query with subscribeQuery. Requests that do go to the
+ * API are batched with the other reads made in the same tick.
+ *
+ * Broadcasts made through SignerUtils invalidate the queries their
+ * operations affect, so e.g. replies are refetched after commenting.
+ */
+
+// How long results stay fresh, per method
+export const QUERY_TTLS = {
+  get_dynamic_global_properties: 3 * 1000,
+  get_content: 30 * 1000,
+  get_content_replies: 15 * 1000,
+  get_accounts: 60 * 1000,
+  get_following: 60 * 1000,
+  get_followers: 60 * 1000,
+  get_follow_count: 60 * 1000,
+  get_discussions_by: 30 * 1000,
+  'bridge.get_ranked_posts': 30 * 1000,
+  'bridge.get_account_posts': 30 * 1000,
+  'bridge.get_post': 30 * 1000,
+  'bridge.get_discussion': 15 * 1000,
+  'bridge.get_community': 5 * 60 * 1000
+};
+const DEFAULT_TTL = 10 * 1000;
+// Older results are not shown while revalidating
+const MAX_STALE_MS = 5 * 60 * 1000;
+const MAX_ENTRIES = 300;
+// Broadcasts are refetched once more after a block, in case the node
+// had not applied the transaction yet
+const BLOCK_INTERVAL_MS = 3000;
+
+// key -> { method, params, data, updatedAt, promise }
+const entries = new Map();
+// key -> Set of listeners
+const subscribers = new Map();
+
+const queryKey = (method, params) => `${method}:${JSON.stringify(params)}`;
+
+const getTtl = (method) => {
+  if (method.startsWith('get_discussions_by_')) return QUERY_TTLS.get_discussions_by;
+  return QUERY_TTLS[method] ?? DEFAULT_TTL;
+};
+
+const notify = (key, data) => {
+  const listeners = subscribers.get(key);
+  if (listeners) listeners.forEach(listener => listener(data));
+};
+
+/**
+ * Drop the least recently used entries nobody is subscribed to
+ */
+const evict = () => {
+  for (const key of entries.keys()) {
+    if (entries.size <= MAX_ENTRIES) return;
+    if (!subscribers.has(key) && !entries.get(key).promise) entries.delete(key);
+  }
+};
+
+/**
+ * Fetch a query from the API, sharing the request with concurrent callers
+ */
+const revalidate = (client, method, params) => {
+  const key = queryKey(method, params);
+  const entry = entries.get(key) || { method, params, data: undefined, updatedAt: 0 };
+
+  if (entry.promise) return entry.promise;
+
+  entry.promise = batchCall(client, method, params)
+    .then(data => {
+      entry.data = data;
+      entry.updatedAt = Date.now();
+      notify(key, data);
+      return data;
+    })
+    .finally(() => {
+      entry.promise = null;
+    });
+
+  // Re-insert so the Map stays in least recently used order
+  entries.delete(key);
+  entries.set(key, entry);
+  evict();
+
+  return entry.promise;
+};
+
+/**
+ * Read a query through the cache. `force` skips the cache; otherwise
+ * stale data is returned straight away and refreshed in the background.
+ */
+export const fetchQuery = async (client, method, params = [], { force = false } = {}) => {
+  const entry = entries.get(queryKey(method, params));
+  const age = entry && entry.updatedAt ? Date.now() - entry.updatedAt : Infinity;
+
+  if (force || age > MAX_STALE_MS) {
+    return revalidate(client, method, params);
+  }
+
+  if (age > getTtl(method)) {
+    revalidate(client, method, params).catch(err => console.error(`Error revalidating ${method}:`, err));
+  }
+
+  return entry.data;
+};
+
+/**
+ * The cached result of a query, if any, without fetching it
+ */
+export const peekQuery = (method, params = []) => entries.get(queryKey(method, params))?.data;
+
+/**
+ * Be told whenever a query gets new data (revalidation, invalidation or
+ * another view fetching it). The client is used to refetch invalidated
+ * queries. Returns an unsubscribe function.
+ */
+export const subscribeQuery = (client, method, params, listener) => {
+  const key = queryKey(method, params);
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+
+  const wrapped = (data) => listener(data);
+  wrapped.client = client;
+  subscribers.get(key).add(wrapped);
+
+  return () => {
+    const listeners = subscribers.get(key);
+    if (!listeners) return;
+    listeners.delete(wrapped);
+    if (listeners.size === 0) subscribers.delete(key);
+  };
+};
+
+/**
+ * Mark every query matching `predicate(method, params, data)` as stale.
+ * Queries somebody is subscribed to are refetched right away.
+ */
+export const invalidateQueries = (predicate) => {
+  entries.forEach((entry, key) => {
+    if (!predicate(entry.method, entry.params, entry.data)) return;
+
+    entry.updatedAt = 0;
+    const listeners = subscribers.get(key);
+    if (listeners && listeners.size > 0) {
+      const [first] = listeners;
+      revalidate(first.client, entry.method, entry.params)
+        .catch(err => console.error(`Error refetching ${entry.method}:`, err));
+    }
+  });
+};
+
+// Whether cached data (a post, a list of posts or a bridge discussion
+// keyed by author/permlink) contains the given post
+const containsPost = (data, author, permlink) => {
+  if (!data || typeof data !== 'object') return false;
+  const posts = Array.isArray(data) || data.author !== undefined ? [].concat(data) : Object.values(data);
+  return posts.some(post => post && post.author === author && post.permlink === permlink);
+};
+
+// Lists of posts that a new post or reblog can show up in
+const isFeed = (method) => (
+  method.startsWith('get_discussions_by_') ||
+  method === 'bridge.get_ranked_posts' ||
+  method === 'bridge.get_account_posts'
+);
+
+/**
+ * Build the invalidation predicate for a single [name, payload] operation
+ */
+const matchOperation = ([name, payload = {}]) => {
+  switch (name) {
+    case 'vote':
+      return (method, params, data) => containsPost(data, payload.author, payload.permlink);
+
+    case 'comment':
+    case 'delete_comment':
+      return (method, params, data) => {
+        // The post itself, wherever it is shown
+        if (containsPost(data, payload.author, payload.permlink)) return true;
+        if (payload.parent_author) {
+          // The parent's replies and reply count
+          return (method === 'get_content_replies' &&
+              params[0] === payload.parent_author && params[1] === payload.parent_permlink) ||
+            containsPost(data, payload.parent_author, payload.parent_permlink);
+        }
+        // A new top-level post shows up in feeds and bumps the post count
+        return isFeed(method) ||
+          (method === 'get_accounts' && params[0].includes(payload.author));
+      };
+
+    case 'custom_json': {
+      if (payload.id !== 'follow') return null;
+
+      let action = null;
+      let details = {};
+      try {
+        [action, details = {}] = JSON.parse(payload.json);
+      } catch (e) {
+        return null;
+      }
+
+      if (action === 'reblog') {
+        return (method) => method === 'get_discussions_by_blog' || method === 'get_discussions_by_feed' ||
+          method === 'bridge.get_account_posts';
+      }
+
+      const names = [details.follower, details.following];
+      return (method, params) => (
+        (['get_following', 'get_followers', 'get_follow_count'].includes(method) && names.includes(params[0])) ||
+        (method === 'get_accounts' && params[0].some(account => names.includes(account))) ||
+        (method === 'get_discussions_by_feed' && params[0]?.tag === details.follower) ||
+        (method === 'bridge.get_account_posts' && params.sort === 'feed' && params.account === details.follower)
+      );
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Invalidate the queries affected by operations we just broadcast
+ */
+export const invalidateForOperations = (operations) => {
+  const predicates = operations.map(matchOperation).filter(Boolean);
+  if (predicates.length === 0) return;
+
+  const predicate = (...args) => predicates.some(match => match(...args));
+  invalidateQueries(predicate);
+  setTimeout(() => invalidateQueries(predicate), BLOCK_INTERVAL_MS);
+};
+
+export default {
+  QUERY_TTLS,
+  fetchQuery,
+  peekQuery,
+  subscribeQuery,
+  invalidateQueries,
+  invalidateForOperations
+};
@@ -0,0 +1,153 @@
+import axios from 'axios';
+
+/**
+ * Batches Hive API calls made in the same tick.
+ *
+ * batchCall(client, method, params) queues an API call. Methods are
+ * condenser_api names unless prefixed with their API ("bridge.get_post"). At the
+ * end of the tick the queue is sent to the client's current node as one
+ * JSON-RPC batch request, identical calls are sent once, and every
+ * get_accounts call is merged into a single get_accounts for all the
+ * names. When the batch request fails the calls are retried one by one
+ * through the client, so dhive's node failover still applies.
+ */
+
+// Nodes reject very large batches
+const MAX_BATCH_SIZE = 50;
+const BATCH_TIMEOUT_MS = 15000;
+
+// client -> calls waiting for the end of the tick
+const queues = new Map();
+
+// "bridge.get_post" -> ['bridge', 'get_post']; plain names are condenser_api
+const splitMethod = (method) => {
+  const dot = method.indexOf('.');
+  return dot === -1 ? ['condenser_api', method] : [method.slice(0, dot), method.slice(dot + 1)];
+};
+
+/**
+ * Group queued calls into requests: identical calls share a request and
+ * all get_accounts calls share one
+ */
+const groupCalls = (calls) => {
+  const requests = new Map();
+
+  calls.forEach(call => {
+    const key = call.method === 'get_accounts' ? 'get_accounts' : `${call.method}:${JSON.stringify(call.params)}`;
+    if (!requests.has(key)) {
+      requests.set(key, { method: call.method, params: call.params, callers: [] });
+    }
+    requests.get(key).callers.push(call);
+  });
+
+  return [...requests.values()].map(request => {
+    if (request.method !== 'get_accounts') return request;
+    const names = [...new Set(request.callers.flatMap(call => call.params[0]))];
+    return { ...request, params: [names] };
+  });
+};
+
+/**
+ * Hand every caller its part of a request's result. A result that cannot
+ * be handed out (e.g. get_accounts answered with something other than an
+ * array) rejects the callers instead, so no caller is left waiting.
+ */
+const settle = (request, error, result) => {
+  try {
+    request.callers.forEach(call => {
+      if (error) {
+        call.reject(error);
+      } else if (request.method === 'get_accounts') {
+        const accounts = new Map(result.map(account => [account.name, account]));
+        call.resolve(call.params[0].map(name => accounts.get(name)).filter(Boolean));
+      } else {
+        call.resolve(result);
+      }
+    });
+  } catch (err) {
+    // Callers already resolved keep their result
+    request.callers.forEach(call => call.reject(err));
+  }
+};
+
+/**
+ * Send requests one by one through the client
+ */
+const sendEach = (client, requests) => Promise.all(requests.map(request => {
+  const [api, name] = splitMethod(request.method);
+  const call = api === 'condenser_api'
+    ? client.database.call(name, request.params)
+    : client.call(api, name, request.params);
+
+  return call
+    .then(result => settle(request, null, result))
+    .catch(error => settle(request, error));
+}));
+
+/**
+ * Send requests as one JSON-RPC batch to the client's current node
+ */
+const sendBatch = async (client, requests) => {
+  const body = requests.map((request, id) => ({
+    jsonrpc: '2.0',
+    method: splitMethod(request.method).join('.'),
+    params: request.params,
+    id
+  }));
+
+  let responses;
+  try {
+    const response = await axios.post(client.currentAddress, body, { timeout: BATCH_TIMEOUT_MS });
+    if (!Array.isArray(response.data)) {
+      throw new Error('Node does not support batch requests');
+    }
+    responses = response.data;
+  } catch (err) {
+    console.error('Batch request failed, sending calls one by one:', err.message);
+    return sendEach(client, requests);
+  }
+
+  requests.forEach((request, id) => {
+    const response = responses.find(item => item.id === id);
+    if (!response) {
+      settle(request, new Error(`No response for ${request.method}`));
+    } else if (response.error) {
+      settle(request, new Error(response.error.message || `${request.method} failed`));
+    } else {
+      settle(request, null, response.result);
+    }
+  });
+};
+
+const flush = (client) => {
+  const calls = queues.get(client);
+  queues.delete(client);
+
+  const requests = groupCalls(calls);
+  // A single request gains nothing from batching, and the mock chain has
+  // no node to send a batch to
+  if (requests.length === 1 || client.isMockChain || !client.currentAddress) {
+    sendEach(client, requests).catch(err => console.error('Failed to send calls:', err));
+    return;
+  }
+
+  for (let start = 0; start < requests.length; start += MAX_BATCH_SIZE) {
+    sendBatch(client, requests.slice(start, start + MAX_BATCH_SIZE))
+      .catch(err => console.error('Failed to send batch:', err));
+  }
+};
+
+/**
+ * Queue an API call to be sent with the other calls made in the same tick
+ */
+export const batchCall = (client, method, params = []) => new Promise((resolve, reject) => {
+  if (!queues.has(client)) {
+    queues.set(client, []);
+    setTimeout(() => flush(client), 0);
+  }
+  queues.get(client).push({ method, params, resolve, reject });
+});
+
+export default {
+  batchCall
+};
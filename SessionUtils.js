@@ -0,0 +1,160 @@
+/**
+ * Session policies (idle timeout and absolute lifetime) and cross-tab
+ * session events.
+ *
+ * Remembered logins and session-only logins have their own policy. Both
+ * can be configured at build time, in minutes / hours, with 0 disabling
+ * the limit:
+ *   REACT_APP_SESSION_IDLE_MINUTES, REACT_APP_SESSION_MAX_HOURS
+ *   REACT_APP_REMEMBERED_IDLE_MINUTES, REACT_APP_REMEMBERED_MAX_HOURS
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const LAST_ACTIVE_KEY = 'hivesocial_last_active';
+const SESSION_EVENT_KEY = 'hivesocial_session_event';
+const REMEMBER_PENDING_KEY = 'hivesocial_remember_pending';
+const CHANNEL_NAME = 'hivesocial_session';
+
+/**
+ * Read a numeric env setting, falling back when it is missing or invalid
+ */
+const readSetting = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+export const SESSION_POLICIES = {
+  session: {
+    idleTimeoutMs: readSetting(process.env.REACT_APP_SESSION_IDLE_MINUTES, 30) * MINUTE_MS,
+    maxLifetimeMs: readSetting(process.env.REACT_APP_SESSION_MAX_HOURS, 12) * HOUR_MS
+  },
+  remembered: {
+    idleTimeoutMs: readSetting(process.env.REACT_APP_REMEMBERED_IDLE_MINUTES, 0) * MINUTE_MS,
+    maxLifetimeMs: readSetting(process.env.REACT_APP_REMEMBERED_MAX_HOURS, 30 * 24) * HOUR_MS
+  }
+};
+
+/**
+ * Get the policy that applies to a saved account
+ */
+export const getSessionPolicy = (account) => {
+  return account.remember === false ? SESSION_POLICIES.session : SESSION_POLICIES.remembered;
+};
+
+let lastRecorded = 0;
+
+/**
+ * Record user activity. Shared through localStorage so activity in any
+ * tab keeps every tab's session alive.
+ */
+export const recordActivity = (force = false) => {
+  const now = Date.now();
+  // Writing on every mouse move would be wasteful
+  if (force || now - lastRecorded > 5000) {
+    lastRecorded = now;
+    localStorage.setItem(LAST_ACTIVE_KEY, String(now));
+  }
+};
+
+/**
+ * Time of the last recorded activity in any tab
+ */
+export const getLastActivity = () => {
+  return Number(localStorage.getItem(LAST_ACTIVE_KEY)) || Date.now();
+};
+
+/**
+ * Find the accounts whose session has run out, either because the user
+ * has been idle too long or because the login is too old
+ */
+export const findExpiredAccounts = (accounts, now = Date.now()) => {
+  const idleFor = now - getLastActivity();
+
+  return accounts
+    .filter(account => {
+      const { idleTimeoutMs, maxLifetimeMs } = getSessionPolicy(account);
+      const loggedInAt = account.loggedInAt || account.addedAt || now;
+
+      if (idleTimeoutMs > 0 && idleFor > idleTimeoutMs) return true;
+      return maxLifetimeMs > 0 && now - loggedInAt > maxLifetimeMs;
+    })
+    .map(account => account.username);
+};
+
+/**
+ * Remember the "remember me" choice across a login redirect
+ */
+export const setPendingRemember = (remember) => {
+  sessionStorage.setItem(REMEMBER_PENDING_KEY, remember ? 'true' : 'false');
+};
+
+/**
+ * Take the "remember me" choice made before a login redirect
+ */
+export const consumePendingRemember = () => {
+  const value = sessionStorage.getItem(REMEMBER_PENDING_KEY);
+  sessionStorage.removeItem(REMEMBER_PENDING_KEY);
+  return value !== 'false';
+};
+
+let channel = null;
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+};
+
+/**
+ * Tell the other tabs about a session change, e.g.
+ * { type: 'logout', usernames: ['alice'] }
+ */
+export const broadcastSessionEvent = (event) => {
+  const current = getChannel();
+  if (current) {
+    current.postMessage(event);
+    return;
+  }
+
+  // Older browsers: a storage write fires the storage event in other tabs
+  localStorage.setItem(SESSION_EVENT_KEY, JSON.stringify({ ...event, sentAt: Date.now() }));
+  localStorage.removeItem(SESSION_EVENT_KEY);
+};
+
+/**
+ * Listen for session changes made in other tabs. Returns an unsubscribe
+ * function.
+ */
+export const subscribeSessionEvents = (handler) => {
+  const current = getChannel();
+  if (current) {
+    const onMessage = (event) => handler(event.data);
+    current.addEventListener('message', onMessage);
+    return () => current.removeEventListener('message', onMessage);
+  }
+
+  const onStorage = (event) => {
+    if (event.key !== SESSION_EVENT_KEY || !event.newValue) return;
+    try {
+      handler(JSON.parse(event.newValue));
+    } catch (e) {
+      console.error('Ignoring malformed session event');
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+};
+
+export default {
+  SESSION_POLICIES,
+  getSessionPolicy,
+  recordActivity,
+  getLastActivity,
+  findExpiredAccounts,
+  setPendingRemember,
+  consumePendingRemember,
+  broadcastSessionEvent,
+  subscribeSessionEvents
+};
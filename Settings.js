@@ -0,0 +1,248 @@
+import React, { useState, useContext } from 'react';
+import { HiveContext } from '../App';
+import {
+  DEFAULT_NODES,
+  getNodeStatus,
+  validateNodeUrl,
+  testNode,
+  setNodes,
+  restoreDefaultNodes,
+  checkNodes
+} from '../utils/NodeManager';
+import { setPreference } from '../utils/PreferenceUtils';
+import usePreferences from '../hooks/usePreferences';
+
+const STATUS_STYLES = {
+  healthy: 'bg-green-100 text-green-800',
+  lagging: 'bg-yellow-100 text-yellow-800',
+  down: 'bg-red-100 text-red-800',
+  unknown: 'bg-gray-100 text-gray-600'
+};
+
+const Settings = () => {
+  const { nodeStatus, isMockChain, user } = useContext(HiveContext);
+  const preferences = usePreferences();
+  const status = nodeStatus || getNodeStatus();
+  const nodes = status.nodes;
+  const [newNode, setNewNode] = useState('');
+  const [error, setError] = useState('');
+  const [testResults, setTestResults] = useState({});
+  const [checking, setChecking] = useState(false);
+
+  const isDefault = nodes.length === DEFAULT_NODES.length &&
+    nodes.every((node, index) => node.url === DEFAULT_NODES[index]);
+
+  const updateNodes = (urls) => {
+    const result = setNodes(urls);
+    setError(result.success ? '' : result.error);
+  };
+
+  const handleAddNode = (e) => {
+    e.preventDefault();
+
+    const result = validateNodeUrl(newNode, nodes.map(node => node.url));
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    updateNodes([...nodes.map(node => node.url), result.url]);
+    setNewNode('');
+  };
+
+  const handleRemoveNode = (url) => {
+    updateNodes(nodes.map(node => node.url).filter(nodeUrl => nodeUrl !== url));
+  };
+
+  const handleMoveNode = (index, offset) => {
+    const urls = nodes.map(node => node.url);
+    const target = index + offset;
+    if (target < 0 || target >= urls.length) return;
+
+    [urls[index], urls[target]] = [urls[target], urls[index]];
+    updateNodes(urls);
+  };
+
+  const handleTestNode = async (url) => {
+    setTestResults(prev => ({ ...prev, [url]: { testing: true } }));
+    const result = await testNode(url);
+    setTestResults(prev => ({ ...prev, [url]: result }));
+  };
+
+  const handleCheckAll = async () => {
+    setChecking(true);
+    setTestResults({});
+    await checkNodes();
+    setChecking(false);
+  };
+
+  const handleRestoreDefaults = () => {
+    if (!window.confirm('Replace your node list with the default nodes?')) return;
+    restoreDefaultNodes();
+    setTestResults({});
+    setError('');
+  };
+
+  const renderTestResult = (url) => {
+    const result = testResults[url];
+    if (!result) return null;
+    if (result.testing) return <span className="text-gray-500">Testing...</span>;
+    if (!result.success) return <span className="text-red-600">Failed: {result.error}</span>;
+    return (
+      <span className="text-green-700">
+        {result.latencyMs} ms, block {result.headBlock.toLocaleString()}
+      </span>
+    );
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <h1 className="text-2xl font-bold mb-6">Settings</h1>
+
+      <div className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2">Content</h2>
+        <label className={`flex items-start gap-3 ${user ? 'cursor-pointer' : 'opacity-60'}`}>
+          <input
+            type="checkbox"
+            checked={preferences.showEmbeds}
+            disabled={!user}
+            onChange={(e) => setPreference(user, 'showEmbeds', e.target.checked)}
+            className="mt-1"
+          />
+          <span>
+            <span className="block text-gray-800">Show embedded media</span>
+            <span className="block text-sm text-gray-500">
+              YouTube, Vimeo, 3Speak, X and Spotify links in posts get a player you can load with a click.
+              Turn this off to only show plain links.
+            </span>
+          </span>
+        </label>
+        {!user && (
+          <p className="text-sm text-gray-500 mt-3">Log in to change your content settings.</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg font-semibold text-gray-800">API nodes</h2>
+          <button
+            type="button"
+            onClick={handleCheckAll}
+            disabled={checking}
+            className="text-sm text-blue-500 hover:underline disabled:text-gray-400 disabled:no-underline"
+          >
+            {checking ? 'Checking...' : 'Check all'}
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          HiveSocial talks to the Hive blockchain through these nodes. The list is saved in this
+          browser. They are used in the order below; the health monitor skips nodes that are down
+          or behind and moves slow or unreliable ones to the end.
+        </p>
+
+        {isMockChain && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4 text-sm">
+            The app is running against the mock chain, so these nodes are not used until it is turned off.
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+            {error}
+          </div>
+        )}
+
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded mb-4">
+          {nodes.map((node, index) => (
+            <li key={node.url} className="p-3">
+              <div className="flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium text-gray-800 truncate">{node.url}</span>
+                    {node.url === status.current && (
+                      <span className="text-xs text-blue-600">in use</span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2 text-xs mt-1">
+                    <span className={`px-2 py-0.5 rounded ${STATUS_STYLES[node.status] || STATUS_STYLES.unknown}`}>
+                      {node.status}
+                    </span>
+                    {node.latencyMs !== null && <span className="text-gray-500">{node.latencyMs} ms</span>}
+                    {renderTestResult(node.url)}
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-1 ml-2 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => handleMoveNode(index, -1)}
+                    disabled={index === 0}
+                    className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded disabled:text-gray-300 disabled:hover:bg-transparent"
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMoveNode(index, 1)}
+                    disabled={index === nodes.length - 1}
+                    className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded disabled:text-gray-300 disabled:hover:bg-transparent"
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleTestNode(node.url)}
+                    className="px-2 py-1 text-sm text-blue-500 hover:bg-gray-100 rounded"
+                  >
+                    Test
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveNode(node.url)}
+                    disabled={nodes.length === 1}
+                    className="px-2 py-1 text-sm text-red-600 hover:bg-gray-100 rounded disabled:text-gray-300 disabled:hover:bg-transparent"
+                    title={nodes.length === 1 ? 'At least one node is required' : 'Remove'}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <form onSubmit={handleAddNode} className="flex space-x-2 mb-4">
+          <input
+            type="text"
+            value={newNode}
+            onChange={(e) => {
+              setNewNode(e.target.value);
+              setError('');
+            }}
+            placeholder="https://api.example.com"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors"
+          >
+            Add node
+          </button>
+        </form>
+
+        <button
+          type="button"
+          onClick={handleRestoreDefaults}
+          disabled={isDefault}
+          className="px-4 py-2 text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 transition-colors disabled:opacity-50 disabled:hover:bg-gray-200"
+        >
+          Restore defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { describeOperations, AUTHORITY_ACTIVE } from '../utils/OperationUtils';
+
+/**
+ * Modal summarizing a transaction in plain language before it is signed
+ */
+const SignConfirmModal = ({ request, onConfirm, onCancel }) => {
+  const { username, operations, authority, signerLabel } = request;
+  const descriptions = describeOperations(operations);
+  const isActive = authority === AUTHORITY_ACTIVE;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-lg max-w-md w-full p-6">
+        <h2 className="text-xl font-semibold mb-2 text-gray-800">Confirm transaction</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          @{username} is about to sign the following with {signerLabel}:
+        </p>
+
+        <ul className="mb-4 space-y-2">
+          {descriptions.map((description, index) => (
+            <li key={index} className="bg-gray-50 border border-gray-200 rounded px-3 py-2 text-gray-800 text-sm break-words">
+              {description}
+            </li>
+          ))}
+        </ul>
+
+        <div
+          className={`text-sm px-3 py-2 rounded mb-4 ${
+            isActive
+              ? 'bg-yellow-100 border border-yellow-400 text-yellow-800'
+              : 'bg-blue-50 border border-blue-200 text-blue-800'
+          }`}
+        >
+          {isActive
+            ? 'This needs your active key. It can move funds, so check the details carefully.'
+            : 'This needs your posting key.'}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            className="px-4 py-2 text-white bg-blue-600 rounded-md hover:bg-blue-700 transition-colors"
+            autoFocus
+          >
+            Sign
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignConfirmModal;
@@ -0,0 +1,213 @@
+import axios from 'axios';
+import { requestHiveAuthSignature, isHiveAuthSessionExpired } from './HiveAuthUtils';
+import { AUTHORITY_POSTING, AUTHORITY_ACTIVE, getRequiredAuthority } from './OperationUtils';
+import { invalidateForOperations } from './QueryCache';
+
+/**
+ * Signer backends for broadcasting operations to Hive.
+ *
+ * Every backend exposes the same shape:
+ *   { type, label, sign(username, operations, authority) }
+ * where sign() resolves to the raw transaction confirmation or throws.
+ * Components should not call backends directly but go through
+ * broadcastOperations() (or `broadcast` from HiveContext), which looks up
+ * the authority in the operation table and returns a uniform
+ * { success, txId, method, error } result. Successful broadcasts
+ * invalidate the cached reads they affect.
+ */
+
+export { AUTHORITY_POSTING, AUTHORITY_ACTIVE };
+
+// Default HiveSigner-compatible API
+const DEFAULT_HIVESIGNER_API = 'https://hivesigner.com';
+
+/**
+ * Keychain expects capitalized key types
+ */
+const toKeychainKeyType = (authority) => {
+  return authority === AUTHORITY_ACTIVE ? 'Active' : 'Posting';
+};
+
+/**
+ * Extract the transaction id from the different confirmation shapes
+ */
+const getTransactionId = (result) => {
+  if (!result) return null;
+  return result.tx_id || result.id || result.result?.tx_id || result.result?.id || null;
+};
+
+/**
+ * Signer backed by the Hive Keychain browser extension
+ */
+export const createKeychainSigner = () => ({
+  type: 'keychain',
+  label: 'Hive Keychain',
+  sign: (username, operations, authority) => new Promise((resolve, reject) => {
+    if (!window.hive_keychain) {
+      reject(new Error('Hive Keychain extension is not installed'));
+      return;
+    }
+
+    window.hive_keychain.requestBroadcast(
+      username,
+      operations,
+      toKeychainKeyType(authority),
+      (response) => {
+        if (response.success) {
+          resolve(response.result);
+        } else {
+          reject(new Error(response.message || response.error || 'Keychain rejected the transaction'));
+        }
+      }
+    );
+  })
+});
+
+/**
+ * Signer that signs locally with a private key held in memory.
+ * `getKey(username, authority)` resolves to a dhive PrivateKey (or null
+ * when the user declines to provide one).
+ */
+export const createKeySigner = (client, getKey) => ({
+  type: 'key',
+  label: 'Private Key',
+  sign: async (username, operations, authority) => {
+    if (!client) {
+      throw new Error('Hive client not initialized. Please refresh the page.');
+    }
+
+    const key = await getKey(username, authority);
+    if (!key) {
+      throw new Error(`Your private ${authority} key is required to sign this transaction`);
+    }
+
+    return client.broadcast.sendOperations(operations, key);
+  }
+});
+
+/**
+ * Signer that relays operations through a HiveSigner-compatible API
+ * using an OAuth access token
+ */
+export const createTokenSigner = (getToken, apiUrl = DEFAULT_HIVESIGNER_API) => ({
+  type: 'hivesigner',
+  label: 'HiveSigner',
+  sign: async (username, operations, authority) => {
+    if (authority !== AUTHORITY_POSTING) {
+      throw new Error('HiveSigner sessions can only sign posting operations');
+    }
+
+    const token = await getToken(username);
+    if (!token) {
+      throw new Error('Your HiveSigner session has expired. Please log in again.');
+    }
+
+    try {
+      const response = await axios.post(
+        `${apiUrl}/api/broadcast`,
+        { operations },
+        { headers: { Authorization: token, 'Content-Type': 'application/json' } }
+      );
+      return response.data.result;
+    } catch (err) {
+      const data = err.response?.data;
+      throw new Error(data?.error_description || data?.error || err.message);
+    }
+  }
+});
+
+/**
+ * Signer that forwards operations to a HiveAuth (HAS) wallet over the
+ * session's websocket. `getSession(username)` returns the stored session
+ * and `onWait(request)` is told when the wallet is waiting for approval
+ * (and with null once it answered).
+ */
+export const createHiveAuthSigner = (getSession, onWait) => ({
+  type: 'hiveauth',
+  label: 'HiveAuth',
+  sign: async (username, operations, authority) => {
+    const session = getSession(username);
+    if (isHiveAuthSessionExpired(session)) {
+      throw new Error('Your HiveAuth session has expired. Please log in again.');
+    }
+
+    try {
+      return await requestHiveAuthSignature(username, session, operations, authority, (wait) => {
+        if (onWait) onWait({ username, authority, expire: wait.expire });
+      });
+    } finally {
+      if (onWait) onWait(null);
+    }
+  }
+});
+
+/**
+ * Wrap a signer so the user has to confirm every transaction first.
+ * `confirm({ username, operations, authority, signer })` resolves to
+ * true to go ahead.
+ */
+export const withConfirmation = (signer, confirm) => ({
+  ...signer,
+  sign: async (username, operations, authority) => {
+    const confirmed = await confirm({ username, operations, authority, signer });
+    if (!confirmed) {
+      const error = new Error('You cancelled the transaction');
+      error.cancelled = true;
+      throw error;
+    }
+    return signer.sign(username, operations, authority);
+  }
+});
+
+/**
+ * Broadcast a list of operations with the given signer, using the
+ * authority the operation table requires
+ */
+export const broadcastOperations = async (signer, username, operations) => {
+  if (!signer) {
+    return { success: false, error: 'No signing method available. Please log in first.' };
+  }
+
+  if (!username) {
+    return { success: false, method: signer.type, error: 'Username not provided' };
+  }
+
+  const required = getRequiredAuthority(operations);
+  if (!required.success) {
+    return { success: false, method: signer.type, error: required.error };
+  }
+
+  try {
+    const result = await signer.sign(username, operations, required.authority);
+    invalidateForOperations(operations);
+
+    return {
+      success: true,
+      method: signer.type,
+      txId: getTransactionId(result),
+      result
+    };
+  } catch (error) {
+    if (error.cancelled) {
+      return { success: false, cancelled: true, method: signer.type, error: error.message };
+    }
+
+    console.error(`Error broadcasting with ${signer.label}:`, error);
+    return {
+      success: false,
+      method: signer.type,
+      error: error.message || 'Failed to broadcast transaction'
+    };
+  }
+};
+
+export default {
+  AUTHORITY_POSTING,
+  AUTHORITY_ACTIVE,
+  createKeychainSigner,
+  createKeySigner,
+  createTokenSigner,
+  createHiveAuthSigner,
+  withConfirmation,
+  broadcastOperations
+};
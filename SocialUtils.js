@@ -1,15 +1,25 @@
-import { Client } from '@hiveio/dhive';
+import { broadcastOperations } from './SignerUtils';
+import { fetchQuery } from './QueryCache';
 
 /**
  * Utility functions for social interactions on Hive
  */
 
+/**
+ * Result returned when there is no way to sign for the user
+ */
+const noSignerResult = (action) => ({
+  success: false,
+  code: 'no_signer',
+  error: `You need to log in with Hive Keychain, HiveSigner or your posting key to ${action}.`
+});
+
 /**
  * Like/upvote a post on Hive
  */
-export const likePost = async (client, username, postAuthor, postPermlink, weight = 10000) => {
-  if (!client || !username) {
-    return { success: false, error: 'Client or username not provided' };
+export const likePost = async (signer, username, postAuthor, postPermlink, weight = 10000) => {
+  if (!username) {
+    return { success: false, error: 'Username not provided' };
   }
 
   try {
@@ -24,30 +34,11 @@ export const likePost = async (client, username, postAuthor, postPermlink, weigh
       }
     ];
 
-    // If Hive Keychain is available, use it
-    if (window.hive_keychain) {
-      return new Promise((resolve) => {
-        window.hive_keychain.requestBroadcast(
-          username,
-          [voteOp],
-          'posting',
-          response => {
-            if (response.success) {
-              resolve({ success: true });
-            } else {
-              resolve({ 
-                success: false, 
-                error: response.message || 'Failed to vote with Keychain'
-              });
-            }
-          }
-        );
-      });
-    } else {
-      // For demo purposes, simulate success
-      await new Promise(resolve => setTimeout(resolve, 500));
-      return { success: true, simulated: true };
+    if (!signer) {
+      return noSignerResult('vote');
     }
+
+    return await broadcastOperations(signer, username, [voteOp]);
   } catch (error) {
     console.error('Error liking post:', error);
     return { success: false, error: error.message || 'Failed to like post' };
@@ -58,15 +49,15 @@ export const likePost = async (client, username, postAuthor, postPermlink, weigh
  * Comment on a post on Hive
  */
 export const commentOnPost = async (
-  client, 
+  signer, 
   username, 
   parentAuthor, 
   parentPermlink, 
   body,
   options = {}
 ) => {
-  if (!client || !username) {
-    return { success: false, error: 'Client or username not provided' };
+  if (!username) {
+    return { success: false, error: 'Username not provided' };
   }
 
   try {
@@ -90,87 +81,48 @@ export const commentOnPost = async (
       }
     ];
 
-    // If Hive Keychain is available, use it
-    if (window.hive_keychain) {
-      return new Promise((resolve) => {
-        window.hive_keychain.requestBroadcast(
-          username,
-          [commentOp],
-          'posting',
-          response => {
-            if (response.success) {
-              resolve({ 
-                success: true,
-                permlink
-              });
-            } else {
-              resolve({ 
-                success: false, 
-                error: response.message || 'Failed to comment with Keychain'
-              });
-            }
-          }
-        );
-      });
-    } else {
-      // For demo purposes, simulate success
-      await new Promise(resolve => setTimeout(resolve, 800));
-      return { 
-        success: true, 
-        simulated: true,
-        permlink
-      };
+    if (!signer) {
+      return { ...noSignerResult('comment'), permlink };
     }
+
+    const result = await broadcastOperations(signer, username, [commentOp]);
+    return { ...result, permlink };
   } catch (error) {
     console.error('Error commenting on post:', error);
     return { success: false, error: error.message || 'Failed to comment on post' };
   }
 };
 
+/**
+ * Build the custom_json operation used by the follow plugin
+ */
+const buildFollowOp = (follower, following, what) => [
+  'custom_json',
+  {
+    required_auths: [],
+    required_posting_auths: [follower],
+    id: 'follow',
+    json: JSON.stringify(['follow', { follower, following, what }])
+  }
+];
+
 /**
  * Follow a user on Hive
  */
-export const followUser = async (client, follower, following) => {
-  if (!client || !follower) {
-    return { success: false, error: 'Client or follower not provided' };
+export const followUser = async (signer, follower, following) => {
+  if (!follower) {
+    return { success: false, error: 'Follower not provided' };
   }
 
   try {
     // Create the custom JSON operation for following
-    const followOp = [
-      'custom_json',
-      {
-        required_auths: [],
-        required_posting_auths: [follower],
-        id: 'follow',
-        json: JSON.stringify(['follow', { follower, following, what: ['blog'] }])
-      }
-    ];
+    const followOp = buildFollowOp(follower, following, ['blog']);
 
-    // If Hive Keychain is available, use it
-    if (window.hive_keychain) {
-      return new Promise((resolve) => {
-        window.hive_keychain.requestBroadcast(
-          follower,
-          [followOp],
-          'posting',
-          response => {
-            if (response.success) {
-              resolve({ success: true });
-            } else {
-              resolve({ 
-                success: false, 
-                error: response.message || 'Failed to follow with Keychain'
-              });
-            }
-          }
-        );
-      });
-    } else {
-      // For demo purposes, simulate success
-      await new Promise(resolve => setTimeout(resolve, 600));
-      return { success: true, simulated: true };
+    if (!signer) {
+      return noSignerResult('follow users');
     }
+
+    return await broadcastOperations(signer, follower, [followOp]);
   } catch (error) {
     console.error('Error following user:', error);
     return { success: false, error: error.message || 'Failed to follow user' };
@@ -180,47 +132,20 @@ export const followUser = async (client, follower, following) => {
 /**
  * Unfollow a user on Hive
  */
-export const unfollowUser = async (client, follower, following) => {
-  if (!client || !follower) {
-    return { success: false, error: 'Client or follower not provided' };
+export const unfollowUser = async (signer, follower, following) => {
+  if (!follower) {
+    return { success: false, error: 'Follower not provided' };
   }
 
   try {
     // Create the custom JSON operation for unfollowing
-    const unfollowOp = [
-      'custom_json',
-      {
-        required_auths: [],
-        required_posting_auths: [follower],
-        id: 'follow',
-        json: JSON.stringify(['follow', { follower, following, what: [] }])
-      }
-    ];
+    const unfollowOp = buildFollowOp(follower, following, []);
 
-    // If Hive Keychain is available, use it
-    if (window.hive_keychain) {
-      return new Promise((resolve) => {
-        window.hive_keychain.requestBroadcast(
-          follower,
-          [unfollowOp],
-          'posting',
-          response => {
-            if (response.success) {
-              resolve({ success: true });
-            } else {
-              resolve({ 
-                success: false, 
-                error: response.message || 'Failed to unfollow with Keychain'
-              });
-            }
-          }
-        );
-      });
-    } else {
-      // For demo purposes, simulate success
-      await new Promise(resolve => setTimeout(resolve, 600));
-      return { success: true, simulated: true };
+    if (!signer) {
+      return noSignerResult('unfollow users');
     }
+
+    return await broadcastOperations(signer, follower, [unfollowOp]);
   } catch (error) {
     console.error('Error unfollowing user:', error);
     return { success: false, error: error.message || 'Failed to unfollow user' };
@@ -236,17 +161,16 @@ export const checkIfFollowing = async (client, follower, following) => {
   }
 
   try {
-    // Get the follow count to check if the user is following
-    const followCount = await client.database.call('get_follow_count', [follower]);
-    
-    // For a real check, we would need to use the get_following API
-    // but for demo purposes, we'll simulate a random result
-    const isFollowing = Math.random() > 0.5;
+    // get_following starts listing at `following`, so the first entry
+    // tells us whether the relationship exists
+    const entries = await fetchQuery(client, 'get_following', [follower, following, 'blog', 1]);
+    const isFollowing = Array.isArray(entries) &&
+      entries.length > 0 &&
+      entries[0].following === following;
     
     return { 
       success: true, 
-      isFollowing,
-      followCount
+      isFollowing
     };
   } catch (error) {
     console.error('Error checking follow status:', error);
@@ -264,7 +188,7 @@ export const getPostComments = async (client, author, permlink) => {
 
   try {
     // Get comments for the post
-    const comments = await client.database.call('get_content_replies', [author, permlink]);
+    const comments = await fetchQuery(client, 'get_content_replies', [author, permlink]);
     
     return { 
       success: true, 
@@ -0,0 +1,213 @@
+/**
+ * Minimal HiveSigner-compatible OAuth2 server for local testing.
+ *
+ *   npm run stub:hivesigner
+ *   REACT_APP_HIVESIGNER_URL=http://localhost:4100 npm start
+ *
+ * Supports the authorization code flow with PKCE (S256), refresh tokens,
+ * revocation, /api/me and a fake /api/broadcast. Nothing is persisted and
+ * no transaction ever reaches the chain. Tokens expire after TOKEN_TTL
+ * seconds (120 by default) so silent refresh can be exercised quickly.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 4100;
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || 120;
+
+const codes = new Map();
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+const randomToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Query values are written into the consent page
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    ...(typeof body === 'string' ? { 'Content-Type': 'text/html' } : { 'Content-Type': 'application/json' }),
+    ...headers
+  });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+const fail = (res, status, error, description) => {
+  send(res, status, { error, error_description: description });
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    if ((req.headers['content-type'] || '').includes('application/json')) {
+      try {
+        resolve(JSON.parse(raw || '{}'));
+      } catch (e) {
+        resolve({});
+      }
+    } else {
+      resolve(Object.fromEntries(new URLSearchParams(raw)));
+    }
+  });
+});
+
+const issueTokens = (username, clientId) => {
+  const accessToken = randomToken();
+  const refreshToken = randomToken();
+  accessTokens.set(accessToken, { username, clientId, expiresAt: Date.now() + TOKEN_TTL * 1000 });
+  refreshTokens.set(refreshToken, { username, clientId });
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: TOKEN_TTL,
+    username
+  };
+};
+
+const getSession = (req) => {
+  const token = req.headers.authorization;
+  const session = token && accessTokens.get(token);
+  if (!session || session.expiresAt < Date.now()) return null;
+  return session;
+};
+
+const authorize = (req, res, query) => {
+  const redirectUri = query.get('redirect_uri');
+  const state = query.get('state');
+
+  if (!redirectUri || query.get('response_type') !== 'code') {
+    fail(res, 400, 'invalid_request', 'redirect_uri and response_type=code are required');
+    return;
+  }
+  if (query.get('code_challenge_method') !== 'S256' || !query.get('code_challenge')) {
+    fail(res, 400, 'invalid_request', 'A S256 code_challenge is required');
+    return;
+  }
+
+  const username = query.get('username');
+  if (!username) {
+    // Tiny consent page that submits back here with a username
+    const hidden = [...query.entries()]
+      .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+      .join('');
+    send(res, 200, `<!doctype html><form method="get">${hidden}
+      <p>Stub HiveSigner: log in to <b>${escapeHtml(query.get('client_id'))}</b> as</p>
+      <input name="username" value="alice" autofocus> <button>Approve</button></form>`);
+    return;
+  }
+
+  const code = randomToken();
+  codes.set(code, {
+    username,
+    clientId: query.get('client_id'),
+    redirectUri,
+    challenge: query.get('code_challenge'),
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  if (state) target.searchParams.set('state', state);
+  send(res, 302, '', { Location: target.toString() });
+};
+
+const token = async (req, res) => {
+  const body = await readBody(req);
+
+  if (body.grant_type === 'authorization_code') {
+    const grant = codes.get(body.code);
+    codes.delete(body.code);
+
+    if (!grant || grant.expiresAt < Date.now()) {
+      fail(res, 400, 'invalid_grant', 'Unknown or expired authorization code');
+      return;
+    }
+    if (grant.redirectUri !== body.redirect_uri || grant.clientId !== body.client_id) {
+      fail(res, 400, 'invalid_grant', 'redirect_uri or client_id does not match');
+      return;
+    }
+    const challenge = crypto.createHash('sha256').update(body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.challenge) {
+      fail(res, 400, 'invalid_grant', 'PKCE verification failed');
+      return;
+    }
+
+    send(res, 200, issueTokens(grant.username, grant.clientId));
+    return;
+  }
+
+  if (body.grant_type === 'refresh_token') {
+    const grant = refreshTokens.get(body.refresh_token);
+    // Refresh tokens are rotated on every use
+    refreshTokens.delete(body.refresh_token);
+
+    if (!grant) {
+      fail(res, 400, 'invalid_grant', 'Unknown refresh token');
+      return;
+    }
+    send(res, 200, issueTokens(grant.username, grant.clientId));
+    return;
+  }
+
+  fail(res, 400, 'unsupported_grant_type', `Unsupported grant_type ${body.grant_type}`);
+};
+
+const revoke = async (req, res) => {
+  const body = await readBody(req);
+  const revoked = body.token || req.headers.authorization;
+  const session = accessTokens.get(revoked);
+  accessTokens.delete(revoked);
+
+  // Revoking the access token ends the whole session
+  if (session) {
+    [...refreshTokens.entries()]
+      .filter(([, grant]) => grant.username === session.username && grant.clientId === session.clientId)
+      .forEach(([refreshToken]) => refreshTokens.delete(refreshToken));
+  }
+  send(res, 200, { success: true });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(req.method, url.pathname);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, '');
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/oauth2/authorize') {
+    authorize(req, res, url.searchParams);
+  } else if (req.method === 'POST' && url.pathname === '/api/oauth2/token') {
+    await token(req, res);
+  } else if (req.method === 'POST' && url.pathname === '/api/oauth2/token/revoke') {
+    await revoke(req, res);
+  } else if (url.pathname === '/api/me') {
+    const session = getSession(req);
+    if (session) {
+      send(res, 200, { user: session.username, scope: ['login', 'vote', 'comment', 'custom_json'] });
+    } else {
+      fail(res, 401, 'invalid_token', 'Access token is missing, expired or revoked');
+    }
+  } else if (req.method === 'POST' && url.pathname === '/api/broadcast') {
+    const session = getSession(req);
+    if (!session) {
+      fail(res, 401, 'invalid_token', 'Access token is missing, expired or revoked');
+      return;
+    }
+    const body = await readBody(req);
+    console.log(`  @${session.username} broadcast`, JSON.stringify(body.operations));
+    send(res, 200, { result: { id: crypto.randomBytes(20).toString('hex'), block_num: 0 } });
+  } else {
+    fail(res, 404, 'not_found', `No route for ${req.method} ${url.pathname}`);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub HiveSigner listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,24 @@
+import { useState, useEffect, useContext } from 'react';
+import { HiveContext } from '../App';
+import { getPreferences, subscribePreferences } from '../utils/PreferenceUtils';
+
+/**
+ * Custom hook for reading the logged in user's preferences
+ * @returns {Object} - The preferences, updated when they change
+ */
+const usePreferences = () => {
+  const { user } = useContext(HiveContext);
+  const [preferences, setPreferences] = useState(() => getPreferences(user));
+
+  useEffect(() => {
+    setPreferences(getPreferences(user));
+
+    return subscribePreferences((username) => {
+      if (username === user) setPreferences(getPreferences(user));
+    });
+  }, [user]);
+
+  return preferences;
+};
+
+export default usePreferences;
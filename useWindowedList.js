@@ -0,0 +1,219 @@
+import { useState, useRef, useCallback, useEffect, useLayoutEffect } from 'react';
+
+// Measured heights and scroll position of lists that were navigated away
+// from, by restore key, so going back shows the list where it was left
+const savedLists = new Map();
+const MAX_SAVED_LISTS = 20;
+
+/**
+ * Custom hook for rendering only the visible part of a long list that
+ * scrolls with the window. Items may have any height: each rendered item
+ * is measured and unmeasured items count as `estimatedHeight`. When an
+ * item above the viewport changes height the window is scrolled by the
+ * difference, so what the reader is looking at does not move.
+ * @param {Array} items - The full list
+ * @param {Function} getKey - Returns a unique key for an item
+ * @param {Object} options - Additional options
+ * @returns {Object} - containerRef and containerStyle for the list
+ * element (its padding stands in for the items that are not rendered),
+ * the items to render with their index and key, and measureRef(key) to
+ * attach to each rendered item
+ */
+const useWindowedList = (items, getKey, options = {}) => {
+  const {
+    estimatedHeight = 400, // px per item not measured yet
+    overscan = 1000, // px rendered above and below the viewport
+    restoreKey = null, // restores heights and scroll position when set
+  } = options;
+
+  const savedRef = useRef(restoreKey ? savedLists.get(restoreKey) : null);
+  const heightsRef = useRef(new Map(savedRef.current?.heights || []));
+  const scrollYRef = useRef(savedRef.current?.scrollY ?? window.scrollY);
+  const restoredRef = useRef(!savedRef.current);
+  const containerRef = useRef(null);
+  const frameRef = useRef(null);
+  // Visible area relative to the top of the list
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+  const [, setMeasured] = useState(0);
+
+  const updateViewport = useCallback(() => {
+    frameRef.current = null;
+    scrollYRef.current = window.scrollY;
+    if (!containerRef.current) return;
+
+    const top = -containerRef.current.getBoundingClientRect().top;
+    const height = window.innerHeight;
+    setViewport(prev => (prev.top === top && prev.height === height ? prev : { top, height }));
+  }, []);
+
+  // Follow the window's scroll position, at most once per frame
+  useEffect(() => {
+    const handleScroll = () => {
+      if (frameRef.current === null) {
+        frameRef.current = window.requestAnimationFrame(updateViewport);
+      }
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll);
+    updateViewport();
+
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleScroll);
+      if (frameRef.current !== null) window.cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    };
+  }, [updateViewport]);
+
+  // Content above the list (headers, banners) moves it when items change
+  useEffect(() => {
+    updateViewport();
+  }, [items, updateViewport]);
+
+  // Measure rendered items, keeping the viewport in place when items
+  // above it change height
+  const setHeight = useCallback((key, node) => {
+    const height = node.offsetHeight;
+    const previous = heightsRef.current.get(key) ?? estimatedHeight;
+    if (height === 0 || height === previous) return;
+
+    heightsRef.current.set(key, height);
+    // Only items that were entirely above the viewport; a card the reader
+    // is looking at grows downwards
+    if (node.getBoundingClientRect().top + previous <= 0) {
+      window.scrollBy(0, height - previous);
+    }
+    setMeasured(count => count + 1);
+  }, [estimatedHeight]);
+
+  // Rendered item elements, by key, and the other way round
+  const nodesRef = useRef(new Map());
+  const nodeKeysRef = useRef(new WeakMap());
+  const observerRef = useRef(null);
+
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(entries => {
+      entries.forEach(entry => {
+        const key = nodeKeysRef.current.get(entry.target);
+        if (key !== undefined) setHeight(key, entry.target);
+      });
+    });
+    nodesRef.current.forEach(node => observer.observe(node));
+    observerRef.current = observer;
+
+    return () => {
+      observer.disconnect();
+      observerRef.current = null;
+    };
+  }, [setHeight]);
+
+  // One stable callback ref per key
+  const measureRefs = useRef(new Map());
+  const measureRef = useCallback((key) => {
+    if (!measureRefs.current.has(key)) {
+      measureRefs.current.set(key, (node) => {
+        const previous = nodesRef.current.get(key);
+        if (previous && observerRef.current) observerRef.current.unobserve(previous);
+        if (!node) {
+          nodesRef.current.delete(key);
+          return;
+        }
+
+        nodesRef.current.set(key, node);
+        nodeKeysRef.current.set(node, key);
+        if (observerRef.current) {
+          observerRef.current.observe(node);
+        } else {
+          setHeight(key, node);
+        }
+      });
+    }
+    return measureRefs.current.get(key);
+  }, [setHeight]);
+
+  // A new restore key in the same component (e.g. /profile/a to
+  // /profile/b) is another list: start from what was saved for it
+  const loadedKeyRef = useRef(restoreKey);
+  useLayoutEffect(() => {
+    if (loadedKeyRef.current === restoreKey) return;
+    loadedKeyRef.current = restoreKey;
+    savedRef.current = restoreKey ? savedLists.get(restoreKey) : null;
+    heightsRef.current = new Map(savedRef.current?.heights || []);
+    restoredRef.current = !savedRef.current;
+    setMeasured(count => count + 1);
+  }, [restoreKey]);
+
+  // Scroll back to where the list was left once it has items again
+  useLayoutEffect(() => {
+    if (restoredRef.current || items.length === 0) return;
+    restoredRef.current = true;
+    window.scrollTo(0, savedRef.current.scrollY);
+    updateViewport();
+  }, [items.length, restoreKey, updateViewport]);
+
+  // Remember heights and scroll position for when we come back
+  useLayoutEffect(() => {
+    if (!restoreKey) return;
+    const heights = heightsRef.current;
+    return () => {
+      savedLists.delete(restoreKey);
+      savedLists.set(restoreKey, {
+        heights: [...heights],
+        scrollY: scrollYRef.current
+      });
+      if (savedLists.size > MAX_SAVED_LISTS) {
+        savedLists.delete(savedLists.keys().next().value);
+      }
+    };
+  }, [restoreKey]);
+
+  // Work out which items overlap the viewport plus overscan
+  const keys = items.map(getKey);
+  const heights = keys.map(key => heightsRef.current.get(key) ?? estimatedHeight);
+  const from = viewport.top - overscan;
+  const to = viewport.top + viewport.height + overscan;
+
+  let offset = 0;
+  let start = items.length;
+  let end = items.length;
+  let paddingTop = 0;
+  for (let index = 0; index < items.length; index++) {
+    const bottom = offset + heights[index];
+    if (start === items.length && bottom > from) {
+      start = index;
+      paddingTop = offset;
+    }
+    if (offset >= to) {
+      end = index;
+      break;
+    }
+    offset = bottom;
+  }
+  if (start === items.length) paddingTop = offset;
+
+  const total = heights.reduce((sum, height) => sum + height, 0);
+  const rendered = heights.slice(start, end).reduce((sum, height) => sum + height, 0);
+
+  const virtualItems = [];
+  for (let index = start; index < end; index++) {
+    virtualItems.push({ item: items[index], index, key: keys[index] });
+  }
+
+  return {
+    containerRef,
+    containerStyle: {
+      paddingTop,
+      paddingBottom: Math.max(0, total - paddingTop - rendered),
+      // The browser's own scroll anchoring would fight the corrections
+      // made in setHeight
+      overflowAnchor: 'none'
+    },
+    virtualItems,
+    measureRef
+  };
+};
+
+export default useWindowedList;